@@ -1,6 +1,6 @@
 const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
 
-module.exports = (firebaseHelper) => {
+module.exports = (firebaseHelper, usernameFunctions = null, groupFunctions = null, contactFunctions = null, chatFunctions = null) => {
   const { admin, db } = firebaseHelper;
 
   /**
@@ -39,6 +39,8 @@ module.exports = (firebaseHelper) => {
       chatsUpdated: 0,
       messagesUpdated: 0,
       userFriendshipsDeleted: 0,
+      groupsTransferred: 0,
+      groupsDeleted: 0,
       subcollectionsDeleted: 0,
       storageDeleted: [],
       errors: []
@@ -97,6 +99,11 @@ module.exports = (firebaseHelper) => {
         });
         results.chatsUpdated++;
 
+        // A deleted user's saves shouldn't keep the other participants' videos from expiring
+        if (chatFunctions) {
+          await chatFunctions.releaseSavedMessages(chatId, [uid]);
+        }
+
         // Update messages sent by this user (batch in groups of 500)
         let hasMore = true;
         while (hasMore) {
@@ -134,23 +141,42 @@ module.exports = (firebaseHelper) => {
         }
       }
 
+      // Step 4b: Leave groups - owned groups pass to the longest-tenured member or are deleted
+      if (groupFunctions) {
+        console.log(`👥 Removing ${uid} from groups`);
+        const groupResults = await groupFunctions.removeUserFromAllGroups(uid);
+        results.groupsTransferred = groupResults.groupsTransferred;
+        results.groupsDeleted = groupResults.groupsDeleted;
+        results.errors.push(...groupResults.errors);
+      }
+
       // Step 5: Delete userFriendships subcollection for this user
       console.log(`👥 Deleting userFriendships for ${uid}`);
       const userFriendshipsRef = db.collection('userFriendships').doc(uid);
       results.userFriendshipsDeleted = await deleteSubcollection(userFriendshipsRef, 'friends');
       await userFriendshipsRef.delete();
 
-      // Step 6: Delete user subcollections (security, pendingDeviceVerifications)
+      // Step 6: Delete user subcollections (security, pendingDeviceVerifications, dismissedSuggestions)
       console.log(`🔐 Deleting user subcollections for ${uid}`);
       const userRef = db.collection('users').doc(uid);
       results.subcollectionsDeleted += await deleteSubcollection(userRef, 'security');
       results.subcollectionsDeleted += await deleteSubcollection(userRef, 'pendingDeviceVerifications');
+      results.subcollectionsDeleted += await deleteSubcollection(userRef, 'dismissedSuggestions');
 
-      // Step 7: Delete temporary codes
+      // Step 7: Delete temporary codes and friend invites
       console.log(`🔑 Deleting verification and reset codes for ${uid}`);
       await db.collection('verificationCodes').doc(uid).delete().catch(() => {});
       await db.collection('passwordResetCodes').doc(uid).delete().catch(() => {});
 
+      const invitesQuery = await db.collection('friendInvites')
+        .where('inviterId', '==', uid)
+        .get();
+
+      for (const inviteDoc of invitesQuery.docs) {
+        await deleteSubcollection(inviteDoc.ref, 'redemptions');
+        await inviteDoc.ref.delete();
+      }
+
       // Step 8: Delete user's files from Storage
       console.log(`🎬 Deleting storage files for user ${uid}`);
       try {
@@ -174,9 +200,26 @@ module.exports = (firebaseHelper) => {
         results.errors.push(`Storage: ${storageErr.message}`);
       }
 
-      // Step 9: Delete notification settings
+      // Step 9: Delete notification settings, unread counts, contact discovery and rate limit state, and release the @handle
       console.log(`🔔 Deleting notification settings for ${uid}`);
       await db.collection('notificationSettings').doc(uid).delete().catch(() => {});
+      await db.collection('unreadCounts').doc(uid).delete().catch(() => {});
+
+      // Remove contact discovery entries so the account can't be matched anymore
+      if (contactFunctions) {
+        await contactFunctions.removeDiscoveryEntries(uid);
+      }
+      // Quota doc from before discovery moved onto the shared rate limiter
+      await db.collection('contactDiscoveryUsage').doc(uid).delete().catch(() => {});
+
+      // Remove rate limiter state
+      const rateLimitsRef = db.collection('rateLimits').doc(uid);
+      await deleteSubcollection(rateLimitsRef, 'actions');
+
+      if (userData.handle && usernameFunctions) {
+        console.log(`🏷️ Releasing handle @${userData.handle} for ${uid}`);
+        await usernameFunctions.releaseHandle(uid, userData.handle);
+      }
 
       // Step 10: Delete the user document
       console.log(`👤 Deleting user document for ${uid}`);
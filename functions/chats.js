@@ -0,0 +1,660 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentCreated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+
+// Constants
+const DEFAULT_EXPIRATION_DAYS = 30; // Used when a chat's expirationDays is null
+const MAX_EXPIRATION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMPUTE_PAGE_SIZE = 400;
+const PREVIEW_SCAN_PAGE_SIZE = 50;
+const COUNTED_MESSAGES_PER_CHAT = 50; // Recent message IDs kept for de-duplicating unread counts
+
+/**
+ * When a message was created, preferring its createdAt field over the doc's create time
+ * createdAt is client-written, so this is for display and ordering only - never for expiry
+ */
+function messageCreatedAtMillis(doc) {
+  const createdAt = doc.data().createdAt;
+  if (createdAt && typeof createdAt.toMillis === 'function') {
+    return createdAt.toMillis();
+  }
+  return doc.createTime ? doc.createTime.toMillis() : Date.now();
+}
+
+/**
+ * When the server created a message doc - the only safe base for expiry,
+ * since clients can write any createdAt they like
+ */
+function messageServerCreatedAtMillis(doc) {
+  return doc.createTime ? doc.createTime.toMillis() : Date.now();
+}
+
+/**
+ * Whether a message can be shown as the chat preview
+ */
+function isPreviewable(messageData) {
+  return !!messageData &&
+    !messageData.isDeleted &&
+    !messageData.contentRemoved &&
+    !messageData.isArchived;
+}
+
+/**
+ * The number of days messages live in a chat
+ */
+function effectiveExpirationDays(chatData) {
+  return chatData && chatData.expirationDays ? chatData.expirationDays : DEFAULT_EXPIRATION_DAYS;
+}
+
+module.exports = (firebaseHelper) => {
+  const { admin, db } = firebaseHelper;
+
+  /**
+   * Recompute expiresAt for every unexpired message in a chat, one page at a time
+   * Returns the number of messages updated
+   */
+  async function recomputeChatExpiration(chatId, expirationDays) {
+    const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+    const now = Date.now();
+    let updatedCount = 0;
+    let lastDoc = null;
+
+    while (true) {
+      let query = messagesRef
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(RECOMPUTE_PAGE_SIZE);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      let operationCount = 0;
+
+      for (const doc of snapshot.docs) {
+        const messageData = doc.data();
+
+        // Expired or already-removed messages are left for the cleanup jobs
+        if (messageData.isDeleted || messageData.contentRemoved) continue;
+        if (messageData.expiresAt && messageData.expiresAt.toMillis() <= now) continue;
+
+        batch.update(doc.ref, {
+          expiresAt: admin.firestore.Timestamp.fromMillis(messageServerCreatedAtMillis(doc) + expirationDays * DAY_MS)
+        });
+        operationCount++;
+      }
+
+      if (operationCount > 0) {
+        await batch.commit();
+        updatedCount += operationCount;
+      }
+
+      if (snapshot.size < RECOMPUTE_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    console.log(`⏳ Recomputed expiresAt on ${updatedCount} messages in chat ${chatId} (${expirationDays} days)`);
+    return updatedCount;
+  }
+
+  /**
+   * Build the denormalized lastMessage preview for a message doc
+   */
+  function buildPreview(doc) {
+    const messageData = doc.data();
+    return {
+      messageId: doc.id,
+      senderId: messageData.senderId || null,
+      caption: messageData.caption || null,
+      // A view-once thumbnail in the chat list would let recipients see it without opening it
+      thumbnailUrl: messageData.viewOnce ? null : (messageData.thumbnailUrl || null),
+      createdAt: admin.firestore.Timestamp.fromMillis(messageCreatedAtMillis(doc))
+    };
+  }
+
+  /**
+   * Find the newest message in a chat that can still be previewed
+   * Returns the message doc or null if none remain
+   */
+  async function findNewestPreviewableMessage(chatId) {
+    const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+    let lastDoc = null;
+
+    while (true) {
+      let query = messagesRef
+        .orderBy('createdAt', 'desc')
+        .limit(PREVIEW_SCAN_PAGE_SIZE);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      const match = snapshot.docs.find(doc => isPreviewable(doc.data()));
+
+      if (match) return match;
+      if (snapshot.size < PREVIEW_SCAN_PAGE_SIZE) return null;
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  /**
+   * Count a new message as unread for every participant except the sender
+   * Counts live in unreadCounts/{userId} as { total, chats: { [chatId]: count }, readUpTo: { [chatId]: timestamp } }
+   *
+   * Each user's doc also keeps the last few message IDs counted per chat, so a retried
+   * trigger can't count the same message twice
+   */
+  async function incrementUnreadCounts(chatId, messageId, senderId, participants) {
+    const recipients = participants.filter(id => id !== senderId);
+
+    await Promise.all(recipients.map(async (userId) => {
+      const unreadRef = db.collection('unreadCounts').doc(userId);
+
+      await db.runTransaction(async (transaction) => {
+        const unreadDoc = await transaction.get(unreadRef);
+        const counted = unreadDoc.exists ? ((unreadDoc.data().countedMessages || {})[chatId] || []) : [];
+        if (counted.includes(messageId)) return;
+
+        transaction.set(unreadRef, {
+          total: admin.firestore.FieldValue.increment(1),
+          chats: { [chatId]: admin.firestore.FieldValue.increment(1) },
+          countedMessages: { [chatId]: [...counted, messageId].slice(-COUNTED_MESSAGES_PER_CHAT) },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      });
+    }));
+  }
+
+  /**
+   * Drop a chat from users' unread counts, e.g. when they lose access to it
+   * Best effort - never fails the caller
+   */
+  async function clearUnreadCounts(chatId, userIds) {
+    await Promise.all(userIds.map(async (userId) => {
+      const unreadRef = db.collection('unreadCounts').doc(userId);
+
+      try {
+        await db.runTransaction(async (transaction) => {
+          const unreadDoc = await transaction.get(unreadRef);
+          if (!unreadDoc.exists) return;
+
+          const unreadData = unreadDoc.data();
+          const chatCount = (unreadData.chats || {})[chatId];
+          const hasReadMarker = (unreadData.readUpTo || {})[chatId] !== undefined;
+          if (chatCount === undefined && !hasReadMarker) return;
+
+          transaction.update(unreadRef, {
+            total: Math.max((unreadData.total || 0) - (chatCount || 0), 0),
+            [`chats.${chatId}`]: admin.firestore.FieldValue.delete(),
+            [`readUpTo.${chatId}`]: admin.firestore.FieldValue.delete(),
+            [`countedMessages.${chatId}`]: admin.firestore.FieldValue.delete(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      } catch (error) {
+        console.error(`❌ Failed to clear unread count for ${userId} in chat ${chatId}:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Drop users' saves from a chat's messages, e.g. when they leave it or delete their account
+   * Messages nobody else has saved go back to normal expiry. Returns the number of messages updated
+   */
+  async function releaseSavedMessages(chatId, userIds) {
+    const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+    let updatedCount = 0;
+
+    for (const userId of userIds) {
+      while (true) {
+        // Updated messages drop out of the query, so no cursor is needed
+        const snapshot = await messagesRef
+          .where('savedBy', 'array-contains', userId)
+          .limit(RECOMPUTE_PAGE_SIZE)
+          .get();
+
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => {
+          const remainingSavers = (doc.data().savedBy || []).filter(id => id !== userId);
+          batch.update(doc.ref, {
+            savedBy: admin.firestore.FieldValue.arrayRemove(userId),
+            isSaved: remainingSavers.length > 0
+          });
+        });
+        await batch.commit();
+        updatedCount += snapshot.size;
+
+        if (snapshot.size < RECOMPUTE_PAGE_SIZE) break;
+      }
+    }
+
+    if (updatedCount > 0) {
+      console.log(`📌 Released saves on ${updatedCount} messages in chat ${chatId}`);
+    }
+    return updatedCount;
+  }
+
+  /**
+   * Take a removed message back out of the unread counts of recipients who hadn't read it
+   */
+  async function releaseUnreadMessage(chatId, messageDoc, participants) {
+    const messageData = messageDoc.data();
+    const createdAtMillis = messageCreatedAtMillis(messageDoc);
+    const viewedBy = messageData.viewedBy || {};
+    const recipients = participants.filter(id => id !== messageData.senderId && !viewedBy[id]);
+
+    await Promise.all(recipients.map(async (userId) => {
+      const unreadRef = db.collection('unreadCounts').doc(userId);
+
+      await db.runTransaction(async (transaction) => {
+        const unreadDoc = await transaction.get(unreadRef);
+        if (!unreadDoc.exists) return;
+
+        const unreadData = unreadDoc.data();
+        const chatCount = (unreadData.chats || {})[chatId] || 0;
+        const readUpTo = (unreadData.readUpTo || {})[chatId];
+
+        if (chatCount <= 0) return;
+        if (readUpTo && readUpTo.toMillis() >= createdAtMillis) return;
+
+        transaction.update(unreadRef, {
+          total: Math.max((unreadData.total || 0) - 1, 0),
+          [`chats.${chatId}`]: chatCount > 1 ? chatCount - 1 : admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    }));
+  }
+
+  /**
+   * The app icon badge for a user: unread messages across all chats plus pending friend requests
+   */
+  async function getBadgeCount(userId) {
+    const [unreadDoc, pendingSnapshot] = await Promise.all([
+      db.collection('unreadCounts').doc(userId).get(),
+      db.collection('userFriendships').doc(userId).collection('friends')
+        .where('status', '==', 'pending')
+        .where('role', '==', 'recipient')
+        .count()
+        .get()
+    ]);
+
+    const unreadTotal = unreadDoc.exists ? Math.max(unreadDoc.data().total || 0, 0) : 0;
+    return unreadTotal + pendingSnapshot.data().count;
+  }
+
+  return {
+    // Exported for use by other modules (e.g., notifications.js, friends.js, groups.js, account.js)
+    clearUnreadCounts,
+    releaseSavedMessages,
+    getBadgeCount,
+
+    /**
+     * countUnreadMessage - Count every new message as unread for its recipients
+     *
+     * Safe to retry - a message already counted for a user is skipped.
+     */
+    countUnreadMessage: onDocumentCreated({
+      region: 'us-central1',
+      document: 'chats/{chatId}/messages/{messageId}'
+    }, async (event) => {
+      const snapshot = event.data;
+      if (!snapshot) return;
+
+      const chatId = event.params.chatId;
+      const messageId = event.params.messageId;
+
+      try {
+        const chatDoc = await db.collection('chats').doc(chatId).get();
+        if (!chatDoc.exists) return;
+
+        await incrementUnreadCounts(chatId, messageId, snapshot.data().senderId, chatDoc.data().participants || []);
+      } catch (error) {
+        console.error(`❌ Failed to count unread message ${messageId} in chat ${chatId}:`, error);
+      }
+    }),
+
+    /**
+     * stampMessageExpiration - Set expiresAt on every new message from the chat's policy
+     *
+     * A client-supplied expiresAt is kept only if it is earlier than the policy allows.
+     */
+    stampMessageExpiration: onDocumentCreated({
+      region: 'us-central1',
+      document: 'chats/{chatId}/messages/{messageId}'
+    }, async (event) => {
+      const snapshot = event.data;
+      if (!snapshot) return;
+
+      const chatId = event.params.chatId;
+
+      try {
+        const chatDoc = await db.collection('chats').doc(chatId).get();
+        const expirationDays = effectiveExpirationDays(chatDoc.exists ? chatDoc.data() : null);
+
+        const policyExpiresAt = messageServerCreatedAtMillis(snapshot) + expirationDays * DAY_MS;
+        const clientExpiresAt = snapshot.data().expiresAt;
+
+        if (clientExpiresAt && typeof clientExpiresAt.toMillis === 'function' &&
+            clientExpiresAt.toMillis() <= policyExpiresAt) {
+          return;
+        }
+
+        await snapshot.ref.update({
+          expiresAt: admin.firestore.Timestamp.fromMillis(policyExpiresAt)
+        });
+      } catch (error) {
+        console.error(`❌ Failed to stamp expiration on message ${event.params.messageId} in chat ${chatId}:`, error);
+      }
+    }),
+
+    /**
+     * maintainChatPreview - Keep chats/{chatId}.lastMessage pointing at the newest visible message
+     *
+     * New messages become the preview. When the previewed message is deleted, archived
+     * or has its content removed, the preview falls back to the newest message that is
+     * still visible, or null if none remain.
+     */
+    maintainChatPreview: onDocumentWritten({
+      region: 'us-central1',
+      document: 'chats/{chatId}/messages/{messageId}'
+    }, async (event) => {
+      const chatId = event.params.chatId;
+      const messageId = event.params.messageId;
+      const after = event.data.after;
+      const before = event.data.before;
+
+      const wasPreviewable = before.exists && isPreviewable(before.data());
+      const isNowPreviewable = after.exists && isPreviewable(after.data());
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+
+        if (isNowPreviewable) {
+          // Creation, or an update to a message that is still visible
+          const candidate = buildPreview(after);
+
+          await db.runTransaction(async (transaction) => {
+            const chatDoc = await transaction.get(chatRef);
+            if (!chatDoc.exists) return;
+
+            const current = chatDoc.data().lastMessage;
+            const isCurrent = current && current.messageId === messageId;
+            const isNewer = !current || !current.createdAt ||
+              current.createdAt.toMillis() <= candidate.createdAt.toMillis();
+
+            if (!isCurrent && !isNewer) return;
+
+            // Skip no-op rewrites (e.g. expiresAt being stamped)
+            if (isCurrent &&
+                current.caption === candidate.caption &&
+                current.thumbnailUrl === candidate.thumbnailUrl &&
+                current.senderId === candidate.senderId) {
+              return;
+            }
+
+            const updates = { lastMessage: candidate };
+            if (!before.exists) {
+              updates.lastMessageAt = candidate.createdAt;
+            }
+            transaction.update(chatRef, updates);
+          });
+          return;
+        }
+
+        // The message is gone or hidden - only matters if it was the preview
+        if (!wasPreviewable && after.exists) return;
+
+        const chatDoc = await chatRef.get();
+        if (!chatDoc.exists) return;
+
+        const current = chatDoc.data().lastMessage;
+        if (!current || current.messageId !== messageId) return;
+
+        const fallback = await findNewestPreviewableMessage(chatId);
+        const preview = fallback ? buildPreview(fallback) : null;
+
+        await db.runTransaction(async (transaction) => {
+          const latestChat = await transaction.get(chatRef);
+          if (!latestChat.exists) return;
+
+          // Another write may have already moved the preview on
+          const latest = latestChat.data().lastMessage;
+          if (!latest || latest.messageId !== messageId) return;
+
+          transaction.update(chatRef, { lastMessage: preview });
+        });
+
+        console.log(`🖼️ Chat ${chatId} preview moved from ${messageId} to ${preview ? preview.messageId : 'none'}`);
+      } catch (error) {
+        console.error(`❌ Failed to maintain preview for chat ${chatId}:`, error);
+      }
+    }),
+
+    /**
+     * releaseUnreadOnMessageRemoval - Keep unread counts honest when messages disappear
+     *
+     * A message deleted, archived or content-removed before a recipient read it
+     * no longer counts towards their unread count or badge.
+     */
+    releaseUnreadOnMessageRemoval: onDocumentWritten({
+      region: 'us-central1',
+      document: 'chats/{chatId}/messages/{messageId}'
+    }, async (event) => {
+      const chatId = event.params.chatId;
+      const before = event.data.before;
+      const after = event.data.after;
+
+      const wasVisible = before.exists && isPreviewable(before.data());
+      const isVisible = after.exists && isPreviewable(after.data());
+      if (!wasVisible || isVisible) return;
+
+      try {
+        // Deleted chats have already had their counts cleared
+        const chatDoc = await db.collection('chats').doc(chatId).get();
+        if (!chatDoc.exists) return;
+
+        await releaseUnreadMessage(chatId, before, chatDoc.data().participants || []);
+      } catch (error) {
+        console.error(`❌ Failed to release unread count for message ${event.params.messageId} in chat ${chatId}:`, error);
+      }
+    }),
+
+    /**
+     * markChatRead - Mark a chat as read up to and including a message
+     *
+     * Messages from others sent after upToMessageId stay unread. Omit upToMessageId
+     * to mark the whole chat as read.
+     */
+    markChatRead: onCall({
+      region: 'us-central1',
+      maxInstances: 10
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { chatId, upToMessageId = null } = request.data || {};
+
+      if (!chatId) {
+        throw new HttpsError('invalid-argument', 'chatId is required');
+      }
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const unreadRef = db.collection('unreadCounts').doc(userId);
+
+        // Count what is still unread after the marker
+        let stillUnread = 0;
+        let readUpTo = admin.firestore.Timestamp.now();
+        if (upToMessageId) {
+          const chatDoc = await chatRef.get();
+          if (!chatDoc.exists || !(chatDoc.data().participants || []).includes(userId)) {
+            throw new HttpsError('not-found', 'Chat not found');
+          }
+
+          const markerDoc = await chatRef.collection('messages').doc(upToMessageId).get();
+          if (!markerDoc.exists) {
+            throw new HttpsError('not-found', 'Message not found');
+          }
+
+          readUpTo = admin.firestore.Timestamp.fromMillis(messageCreatedAtMillis(markerDoc));
+          const newerSnapshot = await chatRef.collection('messages')
+            .where('createdAt', '>', readUpTo)
+            .get();
+          stillUnread = newerSnapshot.docs.filter(doc => doc.data().senderId !== userId).length;
+        }
+
+        // Without a marker, a user can always clear their own counter (e.g. for a chat they were removed from)
+        const result = await db.runTransaction(async (transaction) => {
+          const unreadDoc = await transaction.get(unreadRef);
+          const unreadData = unreadDoc.exists ? unreadDoc.data() : {};
+          const chatCount = (unreadData.chats || {})[chatId] || 0;
+          const remaining = Math.min(stillUnread, chatCount);
+          const totalUnread = Math.max((unreadData.total || 0) - (chatCount - remaining), 0);
+
+          // readUpTo lets releaseUnreadOnMessageRemoval skip messages this user already read
+          transaction.set(unreadRef, {
+            total: totalUnread,
+            chats: { [chatId]: remaining > 0 ? remaining : admin.firestore.FieldValue.delete() },
+            readUpTo: { [chatId]: readUpTo },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          }, { merge: true });
+          return { unreadCount: remaining, totalUnread: totalUnread };
+        });
+
+        return {
+          success: true,
+          unreadCount: result.unreadCount,
+          totalUnread: result.totalUnread,
+          badgeCount: await getBadgeCount(userId)
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error marking chat read:', error);
+        throw new HttpsError('internal', 'Failed to mark chat as read');
+      }
+    }),
+
+    /**
+     * setChatExpiration - Propose or approve a chat's message expiration
+     *
+     * Changes only apply once every participant has asked for the same value.
+     * Pass expirationDays: null to go back to the default. When the change applies,
+     * expiresAt is recomputed on existing unexpired messages.
+     */
+    setChatExpiration: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 300
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { chatId, expirationDays = null } = request.data || {};
+
+      if (!chatId) {
+        throw new HttpsError('invalid-argument', 'chatId is required');
+      }
+
+      if (expirationDays !== null &&
+          (!Number.isInteger(expirationDays) || expirationDays < 1 || expirationDays > MAX_EXPIRATION_DAYS)) {
+        throw new HttpsError('invalid-argument', `expirationDays must be a whole number between 1 and ${MAX_EXPIRATION_DAYS}, or null`);
+      }
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+
+        const result = await db.runTransaction(async (transaction) => {
+          const chatDoc = await transaction.get(chatRef);
+
+          if (!chatDoc.exists || !(chatDoc.data().participants || []).includes(userId)) {
+            throw new HttpsError('not-found', 'Chat not found');
+          }
+
+          const chatData = chatDoc.data();
+          const participants = chatData.participants;
+
+          if (chatData.isActive === false) {
+            throw new HttpsError('failed-precondition', 'This chat is no longer active');
+          }
+
+          if ((chatData.expirationDays || null) === expirationDays) {
+            if (chatData.expirationProposal) {
+              transaction.update(chatRef, { expirationProposal: admin.firestore.FieldValue.delete() });
+            }
+            return { applied: true, changed: false };
+          }
+
+          // Join a matching proposal, or replace any other one with the caller's
+          const proposal = chatData.expirationProposal;
+          const approvals = proposal && proposal.expirationDays === expirationDays
+            ? [...new Set([...proposal.approvals, userId])]
+            : [userId];
+
+          const pendingApprovals = participants.filter(id => !approvals.includes(id));
+
+          if (pendingApprovals.length > 0) {
+            transaction.update(chatRef, {
+              expirationProposal: {
+                expirationDays: expirationDays,
+                proposedBy: approvals.length === 1 ? userId : proposal.proposedBy,
+                approvals: approvals,
+                proposedAt: approvals.length === 1 ? admin.firestore.Timestamp.now() : proposal.proposedAt
+              }
+            });
+            return { applied: false, pendingApprovals };
+          }
+
+          transaction.update(chatRef, {
+            expirationDays: expirationDays,
+            expirationProposal: admin.firestore.FieldValue.delete(),
+            expirationUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          return { applied: true, changed: true };
+        });
+
+        if (!result.applied) {
+          console.log(`⏳ User ${userId} proposed ${expirationDays ?? 'default'} day expiration for chat ${chatId}`);
+          return {
+            success: true,
+            applied: false,
+            pendingApprovals: result.pendingApprovals
+          };
+        }
+
+        // Outside the transaction - a chat can have more messages than one transaction allows
+        const messagesUpdated = result.changed
+          ? await recomputeChatExpiration(chatId, expirationDays || DEFAULT_EXPIRATION_DAYS)
+          : 0;
+
+        console.log(`⏳ Chat ${chatId} expiration set to ${expirationDays ?? 'default'} days`);
+        return {
+          success: true,
+          applied: true,
+          expirationDays: expirationDays,
+          effectiveExpirationDays: expirationDays || DEFAULT_EXPIRATION_DAYS,
+          messagesUpdated: messagesUpdated
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error setting chat expiration:', error);
+        throw new HttpsError('internal', 'Failed to set chat expiration');
+      }
+    })
+  };
+};
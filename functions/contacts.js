@@ -0,0 +1,246 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { defineString } = require('firebase-functions/params');
+const crypto = require('crypto');
+
+// App-wide salt shared with the client so raw contact hashes never leave the device
+const contactDiscoverySalt = defineString('CONTACT_DISCOVERY_SALT');
+
+// Constants
+const MAX_HASHES_PER_REQUEST = 500;
+const CONTACT_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Normalize a phone number to digits with an optional leading "+"
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const trimmed = phoneNumber.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Salt an already-normalized contact hash
+ *
+ * Clients compute the same value: sha256(`${salt}:${sha256(normalizedContact)}`),
+ * where emails are normalized exactly like generateEmailHash in signup.js.
+ */
+function saltContactHash(contactHash, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${contactHash}`).digest('hex');
+}
+
+module.exports = (firebaseHelper, signupFunctions = null, rateLimiter = null) => {
+  const { admin, db } = firebaseHelper;
+
+  /**
+   * Build the salted discovery hashes for a user's email and optional phone number
+   */
+  function buildDiscoveryHashes(email, phoneNumber) {
+    const salt = contactDiscoverySalt.value();
+    const hashes = [];
+
+    if (email && signupFunctions) {
+      hashes.push({
+        hash: saltContactHash(signupFunctions.generateEmailHash(email), salt),
+        type: 'email'
+      });
+    }
+
+    if (phoneNumber) {
+      const phoneHash = crypto.createHash('sha256').update(normalizePhoneNumber(phoneNumber)).digest('hex');
+      hashes.push({
+        hash: saltContactHash(phoneHash, salt),
+        type: 'phone'
+      });
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Remove every discovery index entry that points at a user
+   */
+  async function removeDiscoveryEntries(uid) {
+    const snapshot = await db.collection('contactDiscovery')
+      .where('uid', '==', uid)
+      .get();
+
+    if (snapshot.empty) return 0;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    return snapshot.size;
+  }
+
+  return {
+    // Exported for use by other modules (e.g., account.js)
+    removeDiscoveryEntries,
+
+    /**
+     * setContactDiscoverability - Opt in or out of being found by contact hash
+     *
+     * Opting in indexes the caller's email (and phone number, if provided) under
+     * salted hashes. Opting out removes every index entry.
+     */
+    setContactDiscoverability: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const uid = request.auth.uid;
+      const { discoverable, phoneNumber = null } = request.data || {};
+
+      if (typeof discoverable !== 'boolean') {
+        throw new HttpsError('invalid-argument', 'discoverable must be true or false');
+      }
+
+      if (phoneNumber !== null && (typeof phoneNumber !== 'string' || normalizePhoneNumber(phoneNumber).replace('+', '').length < 7)) {
+        throw new HttpsError('invalid-argument', 'A valid phone number is required');
+      }
+
+      try {
+        const userRef = db.collection('users').doc(uid);
+        const userDoc = await userRef.get();
+
+        if (!userDoc.exists) {
+          throw new HttpsError('not-found', 'User not found');
+        }
+
+        // Always start from a clean slate so stale phone numbers don't linger
+        await removeDiscoveryEntries(uid);
+
+        let indexedCount = 0;
+        if (discoverable) {
+          const hashes = buildDiscoveryHashes(userDoc.data().email, phoneNumber);
+          const batch = db.batch();
+
+          hashes.forEach(({ hash, type }) => {
+            batch.set(db.collection('contactDiscovery').doc(hash), {
+              uid: uid,
+              type: type,
+              createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          });
+
+          await batch.commit();
+          indexedCount = hashes.length;
+        }
+
+        await userRef.update({
+          discoverable: discoverable,
+          discoverableUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`🔎 User ${uid} set discoverable=${discoverable} (${indexedCount} hashes indexed)`);
+        return { success: true, discoverable, indexedCount };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error updating contact discoverability:', error);
+        throw new HttpsError('internal', 'Failed to update discoverability');
+      }
+    }),
+
+    /**
+     * discoverContacts - Match a batch of salted contact hashes to discoverable users
+     *
+     * Never returns the caller, users who haven't opted in, or anyone in a blocked
+     * relationship with the caller.
+     */
+    discoverContacts: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const callerId = request.auth.uid;
+      const { hashes } = request.data || {};
+
+      if (!Array.isArray(hashes) || hashes.length === 0) {
+        throw new HttpsError('invalid-argument', 'hashes must be a non-empty array');
+      }
+
+      if (hashes.length > MAX_HASHES_PER_REQUEST) {
+        throw new HttpsError('invalid-argument', `A maximum of ${MAX_HASHES_PER_REQUEST} hashes can be checked at once`);
+      }
+
+      const uniqueHashes = [...new Set(hashes.map(hash => String(hash).toLowerCase()))];
+      if (!uniqueHashes.every(hash => CONTACT_HASH_PATTERN.test(hash))) {
+        throw new HttpsError('invalid-argument', 'Each hash must be a hex-encoded SHA-256 digest');
+      }
+
+      try {
+        // Daily request and hash budgets live in the shared rate limiter (systemConfig/rateLimits)
+        if (rateLimiter) {
+          await rateLimiter.enforceRateLimit(callerId, 'contactDiscovery', { units: uniqueHashes.length });
+        }
+
+        // 1. Resolve hashes to user IDs
+        const indexDocs = await db.getAll(
+          ...uniqueHashes.map(hash => db.collection('contactDiscovery').doc(hash))
+        );
+
+        const hashesByUser = new Map();
+        indexDocs.forEach(doc => {
+          if (!doc.exists) return;
+          const { uid } = doc.data();
+          if (uid === callerId) return;
+          if (!hashesByUser.has(uid)) hashesByUser.set(uid, []);
+          hashesByUser.get(uid).push(doc.id);
+        });
+
+        const candidateIds = Array.from(hashesByUser.keys());
+        if (candidateIds.length === 0) {
+          return { success: true, matches: [] };
+        }
+
+        // 2. Load user docs and friendship state for every candidate
+        const [userDocs, friendshipDocs] = await Promise.all([
+          db.getAll(...candidateIds.map(uid => db.collection('users').doc(uid))),
+          db.getAll(...candidateIds.map(uid =>
+            db.collection('friendships').doc([callerId, uid].sort().join('_'))
+          ))
+        ]);
+
+        // 3. Keep only opted-in users with no block in either direction
+        const matches = [];
+        candidateIds.forEach((uid, index) => {
+          const userDoc = userDocs[index];
+          const friendshipDoc = friendshipDocs[index];
+
+          if (!userDoc.exists || userDoc.data().discoverable !== true) return;
+
+          const friendshipStatus = friendshipDoc.exists ? friendshipDoc.data().status : null;
+          if (friendshipStatus === 'blocked') return;
+
+          const userData = userDoc.data();
+          matches.push({
+            userId: uid,
+            hashes: hashesByUser.get(uid),
+            displayName: userData.displayName || 'Unknown',
+            avatarUrl: userData.avatarUrl || null,
+            friendshipStatus: friendshipStatus
+          });
+        });
+
+        console.log(`🔎 User ${callerId} checked ${uniqueHashes.length} contact hashes, ${matches.length} matches`);
+        return { success: true, matches };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error discovering contacts:', error);
+        throw new HttpsError('internal', 'Failed to discover contacts');
+      }
+    })
+  };
+};
@@ -1,10 +1,80 @@
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
-
-
-module.exports = (firebaseHelper) => {
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineSecret } = require('firebase-functions/params');
+
+const jwtSecret = defineSecret('JWT_SIGNING_SECRET');
+
+// Constants
+const DEFAULT_SUGGESTIONS_PAGE_SIZE = 20;
+const MAX_SUGGESTIONS_PAGE_SIZE = 50;
+const MAX_FRIENDS_SCANNED_FOR_SUGGESTIONS = 200; // Caps the friends-of-friends fan-out
+const DEFAULT_INVITE_EXPIRY_HOURS = 72;
+const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+const MAX_INVITE_REDEMPTIONS = 100;
+const INVITE_LINK_BASE_URL = 'https://vlrb.app/invite';
+const PENDING_REQUEST_EXPIRY_DAYS = 30; // Default age for expiring pending requests (override in systemConfig/friendRequests)
+const MAX_REQUEST_REASON_LENGTH = 200;
+const MAX_REQUEST_MESSAGE_LENGTH = 150;
+const CHAT_HISTORY_PAGE_SIZE = 200; // Messages per page when archiving/purging a chat on block
+const BLOCK_HISTORY_MODES = ['hide', 'purge'];
+const DEFAULT_BLOCKED_PAGE_SIZE = 20;
+const MAX_BLOCKED_PAGE_SIZE = 50;
+const MAX_BULK_UNBLOCK = 50;
+const MAX_MUTE_DURATION_HOURS = 24 * 365; // Longer mutes should just be indefinite
+const MAX_FAVORITE_FRIENDS = 50;
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+const DEFAULT_ACTIVITY_PAGE_SIZE = 20;
+const MAX_ACTIVITY_PAGE_SIZE = 50;
+const DEFAULT_REQUESTS_PAGE_SIZE = 20;
+const MAX_REQUESTS_PAGE_SIZE = 50;
+
+// Notes on friend requests are shown to strangers, so keep them link-free and clean
+const URL_PATTERN = /(https?:\/\/|www\.)|\b[a-z0-9-]+\.(com|net|org|io|app|co|me|ly|gg|xyz|info|biz)\b/i;
+const BLOCKED_WORDS = [
+  'asshole',
+  'bitch',
+  'cunt',
+  'dick',
+  'fag',
+  'faggot',
+  'fuck',
+  'nigga',
+  'nigger',
+  'pussy',
+  'retard',
+  'shit',
+  'slut',
+  'whore'
+];
+const BLOCKED_WORDS_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})(s|es|ed|ing|er|ers)?\\b`, 'i');
+
+module.exports = (firebaseHelper, usernameFunctions = null, rateLimiter = null, signupFunctions = null, chatFunctions = null) => {
   const { admin, db } = firebaseHelper;
   const storage = admin.storage();
 
+  // Helper to load display info for a list of users
+  // Returns a Map of userId -> { userId, displayName, avatarUrl } for users that still exist
+  async function getUserSummaries(userIds) {
+    const summaries = new Map();
+    if (userIds.length === 0) return summaries;
+
+    const userRefs = userIds.map(id => db.collection('users').doc(id));
+    const userDocs = await db.getAll(...userRefs);
+
+    for (const doc of userDocs) {
+      if (!doc.exists) continue;
+      const userData = doc.data();
+      summaries.set(doc.id, {
+        userId: doc.id,
+        displayName: userData.displayName || 'Unknown',
+        avatarUrl: userData.avatarUrl || null
+      });
+    }
+
+    return summaries;
+  }
+
   // Helper to extract storage path from URL
   function extractStoragePath(url) {
     if (!url) return null;
@@ -23,18 +93,267 @@ module.exports = (firebaseHelper) => {
   }
 
   // Helper to delete file from storage
+  // Returns true if the file was deleted by this call, false if it was already gone; other errors are thrown
   async function deleteFromStorage(path) {
     try {
       const bucket = storage.bucket();
       await bucket.file(path).delete();
       console.log(`🗑️ Deleted from storage: ${path}`);
+      return true;
     } catch (error) {
       if (error.code === 404) {
         console.log(`⚠️ File already deleted: ${path}`);
-      } else {
-        console.error(`❌ Failed to delete from storage: ${path}`, error);
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Helper to record a friendship state transition in friendshipEvents
+  // Accepts a batch or a transaction; initiatorId is the user who caused the transition
+  function recordFriendshipEvent(writer, event) {
+    const {
+      friendshipId,
+      action,
+      initiatorId,
+      targetId,
+      fromStatus = null,
+      toStatus = null,
+      ...details
+    } = event;
+
+    writer.set(db.collection('friendshipEvents').doc(), {
+      friendshipId: friendshipId,
+      action: action,
+      initiatorId: initiatorId,
+      targetId: targetId,
+      userIds: [initiatorId, targetId].sort(), // Sorted array for per-user activity queries
+      fromStatus: fromStatus,
+      toStatus: toStatus,
+      ...details,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Helper to turn a friendshipEvents doc into a client-safe object
+  function formatFriendshipEvent(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      timestamp: data.timestamp?.toDate?.().toISOString() || null
+    };
+  }
+
+  // Helper to write a new pending friendship plus both userFriendships mirror entries
+  // Accepts a batch or a transaction - both expose the same set() API
+  function writePendingFriendship(writer, senderId, targetUserId, requestMessage = null) {
+    const friendshipId = [senderId, targetUserId].sort().join('_');
+    const now = admin.firestore.Timestamp.now();
+
+    // 1. Create/update main friendship document
+    const friendshipRef = db.collection('friendships').doc(friendshipId);
+    const friendshipData = {
+      id: friendshipId,
+      user1Id: [senderId, targetUserId].sort()[0],
+      user2Id: [senderId, targetUserId].sort()[1],
+      userIds: [senderId, targetUserId].sort(), // Sorted array for collection queries
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now,
+      initiatorId: senderId
+    };
+
+    // Optional note shown to the recipient - cleared once the request is answered
+    if (requestMessage) {
+      friendshipData.requestMessage = requestMessage;
+    }
+
+    writer.set(friendshipRef, friendshipData);
+
+    // 2. Create sender's userFriendships entry
+    const senderFriendRef = db.collection('userFriendships')
+      .doc(senderId)
+      .collection('friends')
+      .doc(targetUserId);
+    writer.set(senderFriendRef, {
+      friendshipId: friendshipId,
+      status: 'pending',
+      role: 'initiator',
+      createdAt: now
+    });
+
+    // 3. Create recipient's userFriendships entry
+    const recipientFriendRef = db.collection('userFriendships')
+      .doc(targetUserId)
+      .collection('friends')
+      .doc(senderId);
+    writer.set(recipientFriendRef, {
+      friendshipId: friendshipId,
+      status: 'pending',
+      role: 'recipient',
+      createdAt: now
+    });
+
+    return friendshipId;
+  }
+
+  // Helper to write an accepted friendship, both mirror entries and the chat in one transaction
+  // chatDoc must already have been read in the same transaction (reads before writes)
+  function writeAcceptedFriendship(transaction, initiatorId, recipientId, chatDoc) {
+    const friendshipId = [initiatorId, recipientId].sort().join('_');
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    transaction.set(db.collection('friendships').doc(friendshipId), {
+      id: friendshipId,
+      user1Id: [initiatorId, recipientId].sort()[0],
+      user2Id: [initiatorId, recipientId].sort()[1],
+      userIds: [initiatorId, recipientId].sort(), // Sorted array for collection queries
+      status: 'accepted',
+      createdAt: now,
+      updatedAt: now,
+      initiatorId: initiatorId
+    });
+
+    transaction.set(db.collection('userFriendships').doc(initiatorId).collection('friends').doc(recipientId), {
+      friendshipId: friendshipId,
+      status: 'accepted',
+      role: 'initiator',
+      createdAt: now,
+      updatedAt: now
+    });
+
+    transaction.set(db.collection('userFriendships').doc(recipientId).collection('friends').doc(initiatorId), {
+      friendshipId: friendshipId,
+      status: 'accepted',
+      role: 'recipient',
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (!chatDoc.exists) {
+      transaction.set(chatDoc.ref, {
+        id: chatDoc.id,
+        participants: [initiatorId, recipientId],
+        createdAt: now,
+        lastMessageAt: now,
+        expirationDays: null // Use the default expiration
+      });
+    } else {
+      // Re-friending - reactivate the chat that unfriend marked inactive
+      transaction.update(chatDoc.ref, {
+        isActive: true,
+        updatedAt: now
+      });
+    }
+
+    return friendshipId;
+  }
+
+  // Helper to validate the optional reason given when ending a pending request
+  function validateRequestReason(reason) {
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REQUEST_REASON_LENGTH)) {
+      throw new HttpsError('invalid-argument', `Reason must be a string of at most ${MAX_REQUEST_REASON_LENGTH} characters`);
+    }
+  }
+
+  // Helper to validate the optional note attached to a friend request
+  // Returns the trimmed note, or null if none was given
+  function validateRequestMessage(message) {
+    if (message === undefined || message === null) return null;
+
+    if (typeof message !== 'string') {
+      throw new HttpsError('invalid-argument', 'Message must be a string');
+    }
+
+    const trimmed = message.trim();
+    if (trimmed.length === 0) return null;
+
+    if (trimmed.length > MAX_REQUEST_MESSAGE_LENGTH) {
+      throw new HttpsError('invalid-argument', `Message must be at most ${MAX_REQUEST_MESSAGE_LENGTH} characters`);
+    }
+
+    if (URL_PATTERN.test(trimmed)) {
+      throw new HttpsError('invalid-argument', 'Links are not allowed in friend request messages');
+    }
+
+    if (BLOCKED_WORDS_PATTERN.test(trimmed)) {
+      throw new HttpsError('invalid-argument', 'Message contains inappropriate language');
+    }
+
+    return trimmed;
+  }
+
+  // Helper to remove a pending friend request and record who ended it and why
+  // The initiator withdrawing is recorded as 'cancel', the recipient declining as 'reject'
+  async function removePendingRequest(userId, friendshipId, options = {}) {
+    const { initiatorOnly = false, reason = null } = options;
+
+    // Use a transaction to ensure data consistency
+    const result = await db.runTransaction(async (transaction) => {
+      // Get the friendship document
+      const friendshipRef = db.collection('friendships').doc(friendshipId);
+      const friendshipDoc = await transaction.get(friendshipRef);
+
+      if (!friendshipDoc.exists) {
+        throw new HttpsError('not-found', 'Friend request not found');
+      }
+
+      const friendshipData = friendshipDoc.data();
+
+      // Only pending requests can be rejected or cancelled
+      if (friendshipData.status !== 'pending') {
+        throw new HttpsError('failed-precondition', 'This request is no longer pending');
+      }
+
+      // Verify user is party to this friendship
+      if (friendshipData.user1Id !== userId && friendshipData.user2Id !== userId) {
+        throw new HttpsError('permission-denied', 'You do not have permission to modify this request');
+      }
+
+      const initiatorId = friendshipData.initiatorId || friendshipData.user1Id;
+      const action = initiatorId === userId ? 'cancel' : 'reject';
+
+      if (initiatorOnly && action !== 'cancel') {
+        throw new HttpsError('permission-denied', 'Only the sender can cancel this request');
+      }
+
+      // Get the other user ID
+      const otherUserId = friendshipData.user1Id === userId
+        ? friendshipData.user2Id
+        : friendshipData.user1Id;
+
+      // 1. Delete friendship document
+      transaction.delete(friendshipRef);
+
+      // 2. Delete user friendship records
+      transaction.delete(db.collection('userFriendships').doc(userId).collection('friends').doc(otherUserId));
+      transaction.delete(db.collection('userFriendships').doc(otherUserId).collection('friends').doc(userId));
+
+      // 3. Record the cancel/reject event
+      recordFriendshipEvent(transaction, {
+        friendshipId: friendshipId,
+        action: action,
+        initiatorId: userId,
+        targetId: otherUserId,
+        fromStatus: 'pending',
+        reason: reason
+      });
+
+      console.log(`🗑️ Pending request ${friendshipId} removed by ${userId} (${action})`);
+      return { action, otherUserId };
+    });
+
+    // A rejection counts against the sender's friend request throttle
+    if (result.action === 'reject' && rateLimiter) {
+      try {
+        await rateLimiter.recordStrike(result.otherUserId, 'friendRequest', userId);
+      } catch (error) {
+        console.error(`❌ Failed to record rejection strike for ${result.otherUserId}:`, error);
       }
     }
+
+    return { success: true, action: result.action };
   }
 
   // Helper to archive a user's videos in a chat
@@ -96,200 +415,1242 @@ module.exports = (firebaseHelper) => {
     return archivedCount;
   }
 
-  // Accept a friend request
-  return {
-    acceptFriendRequest: onCall({
-      region: 'us-central1',
-      maxInstances: 10,
-      timeoutSeconds: 60
-    }, async (request) => {
-      // Security check remains the same
-      if (!request.auth) {
-        throw new HttpsError('unauthenticated', 'You must be logged in');
+  // Helper to archive every message in a chat, one page at a time
+  // Used when blocking with historyMode 'hide' - both users' videos are hidden
+  async function archiveChatMessages(chatId, reason) {
+    const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+    let archivedCount = 0;
+    let lastDoc = null;
+
+    while (true) {
+      let query = messagesRef
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(CHAT_HISTORY_PAGE_SIZE);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
       }
 
-      const { friendshipId } = request.data;
-      const acceptingUserId = request.auth.uid;
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
 
-      if (!friendshipId) {
-        throw new HttpsError('invalid-argument', 'Friendship ID is required');
+      const batch = db.batch();
+      let operationCount = 0;
+
+      for (const doc of snapshot.docs) {
+        const messageData = doc.data();
+        if (messageData.isArchived || messageData.isDeleted) continue;
+
+        batch.update(doc.ref, {
+          isArchived: true,
+          archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+          archivedReason: reason,
+          originalChatId: chatId
+        });
+        operationCount++;
       }
 
-      console.log(`🔔 FRIEND ACCEPT: User ${acceptingUserId} accepting friendship ${friendshipId}`);
+      if (operationCount > 0) {
+        await batch.commit();
+        archivedCount += operationCount;
+      }
 
-      try {
-        return await db.runTransaction(async (transaction) => {
-          // STEP 1: GATHER ALL DOCUMENT REFERENCES WE'LL NEED
-          console.log(`📚 Getting document references for friendship ${friendshipId}`);
-          const friendshipRef = db.collection('friendships').doc(friendshipId);
+      if (snapshot.size < CHAT_HISTORY_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
 
-          // STEP 2: READ ALL DOCUMENTS FIRST
-          console.log(`📖 Reading friendship document ${friendshipId}`);
-          const friendshipDoc = await transaction.get(friendshipRef);
+    console.log(`📦 Archived ${archivedCount} messages in chat ${chatId} (${reason})`);
+    return archivedCount;
+  }
 
+  // Helper to hard-delete every message in a chat along with its Storage files
+  // Messages whose files can't all be deleted are archived with an immediate expiry instead,
+  // so cleanupExpiredArchivedVideos retries them rather than leaving unreferenced files behind
+  // Returns { deletedCount, deletedFiles, retryCount }
+  async function purgeChatMessages(chatId) {
+    const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+    let deletedCount = 0;
+    let deletedFiles = 0;
+    let retryCount = 0;
+    let lastDoc = null;
+
+    while (true) {
+      // Messages handed off for retry stay in the collection, so page with a cursor
+      let query = messagesRef
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(CHAT_HISTORY_PAGE_SIZE);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
 
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
 
-          // In acceptFriendRequest, before accessing friendship data:
-          if (!friendshipDoc.exists || !friendshipDoc.data()) {
-            console.error(`❌ Friendship ${friendshipId} not found or has no data`);
-            return { success: false, error: 'Friend request not found' };
-          }
+      // Delete the whole page's files in parallel
+      const outcomes = await Promise.all(snapshot.docs.map(async (doc) => {
+        const messageData = doc.data();
+        const paths = [
+          messageData.videoUrl,
+          messageData.thumbnailUrl,
+          messageData.encryptedVideoUrl,
+          messageData.encryptedThumbnailUrl
+        ].map(extractStoragePath).filter(Boolean);
 
-          const friendshipData = friendshipDoc.data();
-          if (!friendshipData.user1Id || !friendshipData.user2Id) {
-            console.error(`❌ Friendship ${friendshipId} missing user IDs`);
-            return { success: false, error: 'Invalid friendship data' };
-          }
+        const results = await Promise.allSettled(paths.map(path => deleteFromStorage(path)));
+        results
+          .filter(result => result.status === 'rejected')
+          .forEach(result => console.error(`❌ Failed to delete file for message ${doc.id}:`, result.reason));
 
-          console.log(`ℹ️ Friendship data: ${JSON.stringify(friendshipData)}`);
+        return {
+          doc,
+          filesDeleted: results.filter(result => result.status === 'fulfilled' && result.value).length,
+          failed: results.some(result => result.status === 'rejected')
+        };
+      }));
+
+      const batch = db.batch();
+      for (const outcome of outcomes) {
+        deletedFiles += outcome.filesDeleted;
+
+        if (outcome.failed) {
+          batch.update(outcome.doc.ref, {
+            isArchived: true,
+            archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+            archivedReason: 'purgeFailed',
+            originalChatId: chatId,
+            expiresAt: admin.firestore.Timestamp.now()
+          });
+          retryCount++;
+        } else {
+          batch.delete(outcome.doc.ref);
+          deletedCount++;
+        }
+      }
+      await batch.commit();
 
-          if (friendshipData.status !== 'pending') {
-            console.log(`⚠️ Friendship status is ${friendshipData.status}, not pending`);
-            return { success: false, error: 'This request is no longer pending' };
-          }
+      if (snapshot.size < CHAT_HISTORY_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
 
-          if (
-            friendshipData.user1Id !== acceptingUserId &&
-            friendshipData.user2Id !== acceptingUserId
-          ) {
-            console.error(`🚫 User ${acceptingUserId} not authorized for friendship ${friendshipId}`);
-            return { success: false, error: 'You do not have permission to accept this request' };
-          }
+    console.log(`🗑️ Purged ${deletedCount} messages and ${deletedFiles} files from chat ${chatId} (${retryCount} left for retry)`);
+    return { deletedCount, deletedFiles, retryCount };
+  }
 
-          // Get the other user ID
-          const otherUserId = friendshipData.user1Id === acceptingUserId
-            ? friendshipData.user2Id
-            : friendshipData.user1Id;
+  // Helper to block a user and hide or purge the chat history between the pair
+  // Shared by blockUser and moderation auto-blocks; returns counts like the archive helpers
+  async function applyBlock(blockingUserId, userToBlockId, historyMode = 'hide') {
+    const friendshipId = [blockingUserId, userToBlockId].sort().join('_');
+    const chatId = [blockingUserId, userToBlockId].sort().join('_');
+
+    // Use a transaction to ensure data consistency
+    const result = await db.runTransaction(async (transaction) => {
+      // Get or create the friendship document
+      const friendshipRef = db.collection('friendships').doc(friendshipId);
+      const chatRef = db.collection('chats').doc(chatId);
+
+      // Read all documents before any writes
+      const friendshipDoc = await transaction.get(friendshipRef);
+      const chatDoc = await transaction.get(chatRef);
+
+      // Prepare the friendship data
+      const now = admin.firestore.FieldValue.serverTimestamp();
+
+      if (friendshipDoc.exists) {
+        // Update existing friendship
+        transaction.update(friendshipRef, {
+          status: 'blocked',
+          blockedBy: blockingUserId,
+          userIds: [blockingUserId, userToBlockId].sort(), // Ensure userIds array exists
+          requestMessage: admin.firestore.FieldValue.delete(),
+          updatedAt: now
+        });
+      } else {
+        // Create new blocked relationship
+        transaction.set(friendshipRef, {
+          id: friendshipId,
+          user1Id: [blockingUserId, userToBlockId].sort()[0],
+          user2Id: [blockingUserId, userToBlockId].sort()[1],
+          userIds: [blockingUserId, userToBlockId].sort(), // Sorted array for collection queries
+          status: 'blocked',
+          blockedBy: blockingUserId,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
 
-          console.log(`🤝 Accepting friendship between ${acceptingUserId} and ${otherUserId}`);
+      recordFriendshipEvent(transaction, {
+        friendshipId: friendshipId,
+        action: 'block',
+        initiatorId: blockingUserId,
+        targetId: userToBlockId,
+        fromStatus: friendshipDoc.exists ? friendshipDoc.data().status : null,
+        toStatus: 'blocked',
+        historyMode: historyMode
+      });
 
-          // Set up all references
-          const user1FriendshipRef = db
-            .collection('userFriendships')
-            .doc(acceptingUserId)
-            .collection('friends')
-            .doc(otherUserId);
+      // Update/create user friendship records
+      const user1FriendshipRef = db
+        .collection('userFriendships')
+        .doc(blockingUserId)
+        .collection('friends')
+        .doc(userToBlockId);
+
+      const user2FriendshipRef = db
+        .collection('userFriendships')
+        .doc(userToBlockId)
+        .collection('friends')
+        .doc(blockingUserId);
+
+      transaction.set(user1FriendshipRef, {
+        friendshipId: friendshipId,
+        status: 'blocked',
+        role: 'blocker',
+        updatedAt: now
+      }, { merge: true });
+
+      transaction.set(user2FriendshipRef, {
+        friendshipId: friendshipId,
+        status: 'blocked',
+        role: 'blocked',
+        updatedAt: now
+      }, { merge: true });
+
+      // Deactivate the chat - messages are handled below, outside the transaction
+      if (chatDoc.exists) {
+        transaction.update(chatRef, {
+          isActive: false,
+          updatedAt: now
+        });
+      }
 
-          const user2FriendshipRef = db
-            .collection('userFriendships')
-            .doc(otherUserId)
-            .collection('friends')
-            .doc(acceptingUserId);
+      return { chatExists: chatDoc.exists };
+    });
 
-          const chatId = [acceptingUserId, otherUserId].sort().join('_');
-          const chatRef = db.collection('chats').doc(chatId);
+    let archivedCount = 0;
+    let deletedCount = 0;
+    let deletedFiles = 0;
+
+    // Messages live in chats/{chatId}/messages and can exceed transaction limits
+    if (result.chatExists) {
+      if (historyMode === 'purge') {
+        ({ deletedCount, deletedFiles } = await purgeChatMessages(chatId));
+        await db.collection('chats').doc(chatId).delete();
+      } else {
+        archivedCount = await archiveChatMessages(chatId, 'blocked');
+      }
 
-          console.log(`📖 Reading user friendship documents and chat document`);
-          // Read all documents before any writes
-          const user1Doc = await transaction.get(user1FriendshipRef);
-          const user2Doc = await transaction.get(user2FriendshipRef);
-          const chatDoc = await transaction.get(chatRef);
+      if (chatFunctions) {
+        await chatFunctions.clearUnreadCounts(chatId, [blockingUserId, userToBlockId]);
+      }
+    }
 
-          console.log(`✏️ Starting write operations in transaction`);
-          // STEP 4: NOW PERFORM ALL WRITES, AFTER ALL READS ARE COMPLETE
+    console.log(`🚫 User ${blockingUserId} blocked ${userToBlockId} (history: ${historyMode})`);
+    return {
+      success: true,
+      historyMode: historyMode,
+      archivedCount: archivedCount,
+      deletedCount: deletedCount,
+      deletedFiles: deletedFiles
+    };
+  }
 
-          // 1. Update friendship document
-          console.log(`✏️ Updating friendship document to 'accepted'`);
-          transaction.update(friendshipRef, {
-            status: 'accepted',
-            userIds: [friendshipData.user1Id, friendshipData.user2Id].sort(), // Ensure userIds array exists
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-          });
+  // Helper to remove a block the given user placed, leaving a clean slate
+  // Returns { success } or { success: false, error } for expected failures
+  async function removeBlock(unblockingUserId, userToUnblockId) {
+    const friendshipId = [unblockingUserId, userToUnblockId].sort().join('_');
 
-          // 2. Update user1 friendship record
-          if (user1Doc.exists) {
-            console.log(`✏️ Updating existing friendship record for ${acceptingUserId}`);
-            transaction.update(user1FriendshipRef, {
-              status: 'accepted',
-              updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          } else {
-            console.log(`✏️ Creating new friendship record for ${acceptingUserId}`);
-            transaction.set(user1FriendshipRef, {
-              friendshipId: friendshipId,
-              status: 'accepted',
-              role: friendshipData.user1Id === acceptingUserId ? 'recipient' : 'initiator',
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-              createdAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          }
+    console.log(`🔓 UNBLOCK: User ${unblockingUserId} unblocking ${userToUnblockId}`);
 
-          // 3. Update user2 friendship record
-          if (user2Doc.exists) {
-            console.log(`✏️ Updating existing friendship record for ${otherUserId}`);
-            transaction.update(user2FriendshipRef, {
-              status: 'accepted',
-              updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          } else {
-            console.log(`✏️ Creating new friendship record for ${otherUserId}`);
-            transaction.set(user2FriendshipRef, {
-              friendshipId: friendshipId,
-              status: 'accepted',
-              role: friendshipData.user2Id === acceptingUserId ? 'recipient' : 'initiator',
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-              createdAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          }
+    return db.runTransaction(async (transaction) => {
+      // Get the friendship document
+      const friendshipRef = db.collection('friendships').doc(friendshipId);
+      const friendshipDoc = await transaction.get(friendshipRef);
 
-          // 4. Create chat if it doesn't exist
-          if (!chatDoc.exists) {
-            console.log(`✏️ Creating new chat room with ID ${chatId}`);
-            transaction.set(chatRef, {
-              id: chatId,
-              participants: [acceptingUserId, otherUserId],
-              createdAt: admin.firestore.FieldValue.serverTimestamp(),
-              lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
-              expirationDays: null // No expiration by default
-            });
-          } else {
-            console.log(`ℹ️ Chat room ${chatId} already exists, skipping creation`);
-          }
+      if (!friendshipDoc.exists) {
+        console.log(`❌ No friendship/block record found with ID ${friendshipId}`);
+        return { success: false, error: 'No block record found' };
+      }
 
-          console.log(`✅ Friendship accepted successfully`);
-          return { success: true };
-        });
-      } catch (error) {
-        console.error(`❌ Error accepting friend request: ${error}`);
-        return { success: false, error: error.message };
+      const friendshipData = friendshipDoc.data();
+
+      // Verify this is a blocked relationship
+      if (friendshipData.status !== 'blocked') {
+        console.log(`⚠️ Friendship status is ${friendshipData.status}, not blocked`);
+        return { success: false, error: 'This user is not blocked' };
       }
-    }),
 
-// Add this function to friends.js, inside the returned object
+      // Verify the current user is the one who blocked
+      if (friendshipData.blockedBy !== unblockingUserId) {
+        console.log(`🚫 User ${unblockingUserId} did not block this user`);
+        return { success: false, error: 'You did not block this user' };
+      }
 
-sendFriendRequest: onCall(async (request) => {
-    console.log('📨 sendFriendRequest started');
-    
-    // Validate authentication
-    if (!request.auth) {
-        throw new HttpsError('unauthenticated', 'User must be authenticated');
-    }
-    
-    const senderId = request.auth.uid;
-    const { email } = request.data;
-    
-    if (!email) {
-        throw new HttpsError('invalid-argument', 'Email is required');
+      console.log(`🔓 Removing block between ${unblockingUserId} and ${userToUnblockId}`);
+
+      // Delete the friendship document (clean slate - they can re-friend if desired)
+      transaction.delete(friendshipRef);
+
+      // Delete user friendship records
+      const user1FriendshipRef = db
+        .collection('userFriendships')
+        .doc(unblockingUserId)
+        .collection('friends')
+        .doc(userToUnblockId);
+
+      const user2FriendshipRef = db
+        .collection('userFriendships')
+        .doc(userToUnblockId)
+        .collection('friends')
+        .doc(unblockingUserId);
+
+      transaction.delete(user1FriendshipRef);
+      transaction.delete(user2FriendshipRef);
+
+      // Record the unblock event
+      recordFriendshipEvent(transaction, {
+        friendshipId: friendshipId,
+        action: 'unblock',
+        initiatorId: unblockingUserId,
+        targetId: userToUnblockId,
+        fromStatus: 'blocked'
+      });
+
+      console.log(`✅ User ${userToUnblockId} unblocked successfully`);
+      return { success: true };
+    });
+  }
+
+  // Helper to find archived videos from an unfriend that haven't expired yet
+  // Expired ones are left for performArchivedVideoCleanup to hard-delete
+  async function findRestorableVideos(chatId) {
+    const snapshot = await db.collection('chats')
+      .doc(chatId)
+      .collection('messages')
+      .where('isArchived', '==', true)
+      .where('archivedReason', '==', 'unfriended')
+      .get();
+
+    const now = Date.now();
+    return snapshot.docs.filter(doc => {
+      const expiresAt = doc.data().expiresAt;
+      return !expiresAt || expiresAt.toMillis() > now;
+    });
+  }
+
+  async function countRestorableVideos(chatId) {
+    const docs = await findRestorableVideos(chatId);
+    return docs.length;
+  }
+
+  // Helper to un-archive a chat's videos when the pair re-friends
+  async function restoreUnfriendArchivedVideos(chatId) {
+    const docs = await findRestorableVideos(chatId);
+
+    if (docs.length === 0) {
+      console.log(`📦 No archived videos to restore in chat ${chatId}`);
+      return 0;
     }
-    
-    const normalizedEmail = email.toLowerCase().trim();
-    console.log(`📨 Sender: ${senderId}, Target email: ${normalizedEmail}`);
-    
-    try {
-        // Find target user by email
-        const usersSnapshot = await db.collection('users')
-            .where('email', '==', normalizedEmail)
-            .limit(1)
-            .get();
-        
-        if (usersSnapshot.empty) {
-            console.log('❌ User not found for email:', normalizedEmail);
-            throw new HttpsError('not-found', 'User not found');
-        }
-        
-        const targetUser = usersSnapshot.docs[0];
-        const targetUserId = targetUser.id;
-        const targetUserData = targetUser.data();
+
+    // Firestore batches have a limit of 500 operations
+    const BATCH_SIZE = 500;
+    let batch = db.batch();
+    let operationCount = 0;
+
+    for (const doc of docs) {
+      batch.update(doc.ref, {
+        isArchived: false,
+        archivedAt: admin.firestore.FieldValue.delete(),
+        archivedReason: admin.firestore.FieldValue.delete(),
+        restoredAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      operationCount++;
+
+      // Commit batch if we hit the limit
+      if (operationCount >= BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        operationCount = 0;
+      }
+    }
+
+    // Commit any remaining operations
+    if (operationCount > 0) {
+      await batch.commit();
+    }
+
+    console.log(`📦 Restored ${docs.length} archived videos in chat ${chatId}`);
+    return docs.length;
+  }
+
+  // Get the configured pending request expiry age
+  // Admins can set pendingExpiryDays in systemConfig/friendRequests; falls back to the default
+  async function getPendingRequestExpiryDays() {
+    const configDoc = await db.collection('systemConfig').doc('friendRequests').get();
+    const configured = configDoc.exists ? configDoc.data().pendingExpiryDays : undefined;
+
+    if (typeof configured === 'number' && configured >= 1) {
+      return configured;
+    }
+    return PENDING_REQUEST_EXPIRY_DAYS;
+  }
+
+  // Expire pending friend requests older than maxAgeDays
+  // Deletes the friendship and both mirror entries, and records an 'expired' event
+  async function performPendingRequestExpiry(options = {}) {
+    const {
+      batchSize = 100,
+      maxAgeDays = PENDING_REQUEST_EXPIRY_DAYS,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting pending request expiry (triggered by: ${triggeredBy}, dryRun: ${dryRun}, maxAgeDays: ${maxAgeDays})...`);
+
+    const cutoff = admin.firestore.Timestamp.fromDate(
+      new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000)
+    );
+    let totalExpired = 0;
+    let totalErrors = 0;
+    const startTime = Date.now();
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+      let batchCount = 0;
+
+      while (hasMore) {
+        let query = db.collection('friendships')
+          .where('status', '==', 'pending')
+          .where('createdAt', '<=', cutoff)
+          .orderBy('createdAt')
+          .limit(batchSize);
+
+        // Page with a cursor so dry runs (which don't delete) still make progress
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+
+        if (snapshot.empty) {
+          hasMore = false;
+          break;
+        }
+
+        batchCount++;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log(`📦 Processing batch ${batchCount} of ${snapshot.size} stale pending requests...`);
+
+        for (const doc of snapshot.docs) {
+          if (dryRun) {
+            totalExpired++;
+            continue;
+          }
+
+          try {
+            const expired = await db.runTransaction(async (transaction) => {
+              // Re-read inside the transaction in case it was accepted/rejected meanwhile
+              const friendshipDoc = await transaction.get(doc.ref);
+              if (!friendshipDoc.exists || friendshipDoc.data().status !== 'pending') {
+                return false;
+              }
+
+              const friendshipData = friendshipDoc.data();
+              const initiatorId = friendshipData.initiatorId || friendshipData.user1Id;
+              const recipientId = initiatorId === friendshipData.user1Id
+                ? friendshipData.user2Id
+                : friendshipData.user1Id;
+
+              transaction.delete(doc.ref);
+              transaction.delete(
+                db.collection('userFriendships').doc(initiatorId).collection('friends').doc(recipientId)
+              );
+              transaction.delete(
+                db.collection('userFriendships').doc(recipientId).collection('friends').doc(initiatorId)
+              );
+
+              recordFriendshipEvent(transaction, {
+                friendshipId: doc.id,
+                action: 'expired',
+                initiatorId: initiatorId,
+                targetId: recipientId,
+                fromStatus: 'pending',
+                triggeredBy: triggeredBy
+              });
+
+              return true;
+            });
+
+            if (expired) {
+              totalExpired++;
+            }
+          } catch (error) {
+            console.error(`❌ Failed to expire pending request ${doc.id}:`, error);
+            totalErrors++;
+          }
+        }
+
+        console.log(`✅ Batch ${batchCount} complete. Expired: ${totalExpired}, Errors: ${totalErrors}`);
+
+        if (snapshot.size < batchSize) {
+          hasMore = false;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      const results = {
+        success: true,
+        requestsExpired: totalExpired,
+        errors: totalErrors,
+        maxAgeDays: maxAgeDays,
+        duration: duration,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Log results (unless dry run)
+      if (!dryRun) {
+        await db.collection('systemLogs')
+          .doc('pendingRequestExpiry')
+          .collection('runs')
+          .add(results);
+      }
+
+      console.log(`🎉 Pending request expiry complete!`);
+      console.log(`📊 Results: ${totalExpired} requests ${dryRun ? 'would be' : ''} expired, ${totalErrors} errors`);
+      console.log(`⏱️ Duration: ${duration}ms`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ Pending request expiry failed:', error);
+
+      await db.collection('systemLogs')
+        .doc('pendingRequestExpiry')
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
+  // Helper to work out what a user's mirror entry should look like for a friendship
+  // Returns null for statuses that shouldn't have mirrors
+  function expectedMirrorState(friendshipData, ownerId) {
+    const initiatorId = friendshipData.initiatorId || friendshipData.user1Id;
+
+    switch (friendshipData.status) {
+      case 'accepted':
+      case 'pending':
+        return {
+          status: friendshipData.status,
+          role: ownerId === initiatorId ? 'initiator' : 'recipient'
+        };
+      case 'blocked':
+        return {
+          status: 'blocked',
+          role: ownerId === friendshipData.blockedBy ? 'blocker' : 'blocked'
+        };
+      default:
+        return null;
+    }
+  }
+
+  // Helper to check one friendship against its mirrors and chat, repairing unless dryRun
+  // Runs in a transaction so a concurrent unfriend/reject can't be undone by the repair
+  async function checkFriendshipConsistency(friendshipRef, dryRun) {
+    return db.runTransaction(async (transaction) => {
+      const friendshipDoc = await transaction.get(friendshipRef);
+      if (!friendshipDoc.exists) return [];
+
+      const friendshipData = friendshipDoc.data();
+
+      // Deleted accounts intentionally have no mirrors left
+      if (friendshipData.containsDeletedUser || !friendshipData.user1Id || !friendshipData.user2Id) {
+        return [];
+      }
+
+      const { user1Id, user2Id } = friendshipData;
+      const mirrors = [
+        { ownerId: user1Id, otherId: user2Id },
+        { ownerId: user2Id, otherId: user1Id }
+      ];
+
+      // Read all documents before any writes
+      for (const mirror of mirrors) {
+        mirror.ref = db.collection('userFriendships').doc(mirror.ownerId).collection('friends').doc(mirror.otherId);
+        mirror.doc = await transaction.get(mirror.ref);
+      }
+
+      const chatRef = db.collection('chats').doc(friendshipDoc.id);
+      const chatDoc = friendshipData.status === 'accepted' ? await transaction.get(chatRef) : null;
+
+      const issues = [];
+      const now = admin.firestore.FieldValue.serverTimestamp();
+
+      for (const mirror of mirrors) {
+        const expected = expectedMirrorState(friendshipData, mirror.ownerId);
+        if (!expected) continue;
+
+        if (!mirror.doc.exists) {
+          issues.push({ type: 'missingMirror', friendshipId: friendshipDoc.id, userId: mirror.ownerId });
+          if (!dryRun) {
+            transaction.set(mirror.ref, {
+              friendshipId: friendshipDoc.id,
+              ...expected,
+              createdAt: friendshipData.createdAt || now,
+              updatedAt: now
+            });
+          }
+          continue;
+        }
+
+        const mirrorData = mirror.doc.data();
+        // Roles only matter while pending or blocked
+        const roleMismatch = friendshipData.status !== 'accepted' && mirrorData.role !== expected.role;
+
+        if (mirrorData.status !== expected.status || mirrorData.friendshipId !== friendshipDoc.id || roleMismatch) {
+          issues.push({
+            type: 'mismatchedMirror',
+            friendshipId: friendshipDoc.id,
+            userId: mirror.ownerId,
+            found: { status: mirrorData.status || null, role: mirrorData.role || null },
+            expected: expected
+          });
+          if (!dryRun) {
+            transaction.set(mirror.ref, {
+              friendshipId: friendshipDoc.id,
+              status: expected.status,
+              ...(friendshipData.status !== 'accepted' ? { role: expected.role } : {}),
+              updatedAt: now
+            }, { merge: true });
+          }
+        }
+      }
+
+      if (chatDoc && !chatDoc.exists) {
+        issues.push({ type: 'missingChat', friendshipId: friendshipDoc.id });
+        if (!dryRun) {
+          transaction.set(chatRef, {
+            id: chatRef.id,
+            participants: [user1Id, user2Id],
+            createdAt: friendshipData.createdAt || now,
+            lastMessageAt: friendshipData.updatedAt || now,
+            expirationDays: null
+          });
+        }
+      }
+
+      return issues;
+    });
+  }
+
+  // Helper to delete a mirror entry whose parent friendship no longer exists
+  async function checkOrphanMirror(mirrorRef, dryRun) {
+    const ownerId = mirrorRef.parent.parent.id;
+    const friendshipId = [ownerId, mirrorRef.id].sort().join('_');
+    const friendshipRef = db.collection('friendships').doc(friendshipId);
+
+    return db.runTransaction(async (transaction) => {
+      const friendshipDoc = await transaction.get(friendshipRef);
+      const mirrorDoc = await transaction.get(mirrorRef);
+
+      if (friendshipDoc.exists || !mirrorDoc.exists) return null;
+
+      if (!dryRun) {
+        transaction.delete(mirrorRef);
+      }
+
+      return { type: 'orphanMirror', friendshipId: friendshipId, userId: ownerId };
+    });
+  }
+
+  // Sweep the friendship graph for inconsistencies, resuming from where the last run stopped
+  async function performFriendshipConsistencySweep(options = {}) {
+    const {
+      pageSize = 100,
+      maxFriendships = 1000,
+      maxMirrors = 2000,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting friendship consistency sweep (triggered by: ${triggeredBy}, dryRun: ${dryRun})...`);
+
+    const stateRef = db.collection('systemLogs').doc('friendshipConsistency');
+    const startTime = Date.now();
+    const issueCounts = { missingMirror: 0, mismatchedMirror: 0, missingChat: 0, orphanMirror: 0 };
+    const sampleIssues = [];
+    let friendshipsScanned = 0;
+    let mirrorsScanned = 0;
+    let totalErrors = 0;
+
+    const recordIssues = (issues) => {
+      for (const issue of issues) {
+        issueCounts[issue.type]++;
+        if (sampleIssues.length < 50) sampleIssues.push(issue);
+      }
+    };
+
+    try {
+      const stateDoc = await stateRef.get();
+      const state = stateDoc.exists ? stateDoc.data() : {};
+      let friendshipCursor = state.friendshipCursor || null;
+      let mirrorCursor = state.mirrorCursor || null;
+      let friendshipPassComplete = false;
+      let mirrorPassComplete = false;
+
+      // Phase 1: friendships -> mirrors and chats
+      while (friendshipsScanned < maxFriendships) {
+        let query = db.collection('friendships')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+
+        if (friendshipCursor) {
+          query = query.startAfter(friendshipCursor);
+        }
+
+        const snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+          try {
+            recordIssues(await checkFriendshipConsistency(doc.ref, dryRun));
+          } catch (error) {
+            console.error(`❌ Failed to check friendship ${doc.id}:`, error);
+            totalErrors++;
+          }
+        }
+
+        friendshipsScanned += snapshot.size;
+
+        if (snapshot.size < pageSize) {
+          // Reached the end - start over next run
+          friendshipCursor = null;
+          friendshipPassComplete = true;
+          break;
+        }
+
+        friendshipCursor = snapshot.docs[snapshot.docs.length - 1].id;
+      }
+
+      // Phase 2: mirrors -> friendships (orphans)
+      while (mirrorsScanned < maxMirrors) {
+        let query = db.collectionGroup('friends')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+
+        if (mirrorCursor) {
+          query = query.startAfter(db.doc(mirrorCursor));
+        }
+
+        const snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+          // Only userFriendships/{uid}/friends entries are mirrors
+          if (doc.ref.parent.parent?.parent.id !== 'userFriendships') continue;
+
+          try {
+            const issue = await checkOrphanMirror(doc.ref, dryRun);
+            if (issue) recordIssues([issue]);
+          } catch (error) {
+            console.error(`❌ Failed to check mirror ${doc.ref.path}:`, error);
+            totalErrors++;
+          }
+        }
+
+        mirrorsScanned += snapshot.size;
+
+        if (snapshot.size < pageSize) {
+          mirrorCursor = null;
+          mirrorPassComplete = true;
+          break;
+        }
+
+        mirrorCursor = snapshot.docs[snapshot.docs.length - 1].ref.path;
+      }
+
+      const duration = Date.now() - startTime;
+      const issuesFound = Object.values(issueCounts).reduce((sum, count) => sum + count, 0);
+
+      const results = {
+        success: true,
+        friendshipsScanned: friendshipsScanned,
+        mirrorsScanned: mirrorsScanned,
+        issuesFound: issuesFound,
+        issuesRepaired: dryRun ? 0 : issuesFound,
+        issueCounts: issueCounts,
+        sampleIssues: sampleIssues,
+        friendshipPassComplete: friendshipPassComplete,
+        mirrorPassComplete: mirrorPassComplete,
+        errors: totalErrors,
+        duration: duration,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Save cursors and log results (unless dry run)
+      if (!dryRun) {
+        await stateRef.set({
+          friendshipCursor: friendshipCursor,
+          mirrorCursor: mirrorCursor,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        await stateRef.collection('runs').add(results);
+      }
+
+      console.log(`🎉 Friendship consistency sweep complete!`);
+      console.log(`📊 Results: ${friendshipsScanned} friendships and ${mirrorsScanned} mirrors scanned, ${issuesFound} issues ${dryRun ? 'found' : 'repaired'}, ${totalErrors} errors`);
+      console.log(`⏱️ Duration: ${duration}ms`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ Friendship consistency sweep failed:', error);
+
+      await stateRef
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
+  // Clear timed mutes whose mutedUntil has passed
+  // Notifications already ignore expired mutes; this keeps the stored flags honest for clients
+  async function performMuteExpiry(options = {}) {
+    const {
+      batchSize = 200,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting friend mute expiry (triggered by: ${triggeredBy}, dryRun: ${dryRun})...`);
+
+    const now = admin.firestore.Timestamp.now();
+    let totalExpired = 0;
+    let totalErrors = 0;
+    const startTime = Date.now();
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+      let batchCount = 0;
+
+      while (hasMore) {
+        let query = db.collectionGroup('friends')
+          .where('isMuted', '==', true)
+          .where('mutedUntil', '<=', now)
+          .orderBy('mutedUntil')
+          .limit(batchSize);
+
+        // Page with a cursor so dry runs (which don't update) still make progress
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+
+        if (snapshot.empty) {
+          hasMore = false;
+          break;
+        }
+
+        batchCount++;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log(`📦 Processing batch ${batchCount} of ${snapshot.size} expired mutes...`);
+
+        if (dryRun) {
+          totalExpired += snapshot.size;
+        } else {
+          const batch = db.batch();
+          snapshot.docs.forEach(doc => {
+            batch.update(doc.ref, {
+              isMuted: false,
+              mutedAt: admin.firestore.FieldValue.delete(),
+              mutedUntil: admin.firestore.FieldValue.delete(),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          });
+
+          try {
+            await batch.commit();
+            totalExpired += snapshot.size;
+          } catch (error) {
+            console.error(`❌ Failed to commit mute expiry batch ${batchCount}:`, error);
+            totalErrors += snapshot.size;
+          }
+        }
+
+        if (snapshot.size < batchSize) {
+          hasMore = false;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      const results = {
+        success: true,
+        mutesExpired: totalExpired,
+        errors: totalErrors,
+        duration: duration,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Log results (unless dry run)
+      if (!dryRun) {
+        await db.collection('systemLogs')
+          .doc('muteExpiry')
+          .collection('runs')
+          .add(results);
+      }
+
+      console.log(`🎉 Friend mute expiry complete!`);
+      console.log(`📊 Results: ${totalExpired} mutes ${dryRun ? 'would be' : ''} expired, ${totalErrors} errors`);
+      console.log(`⏱️ Duration: ${duration}ms`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ Friend mute expiry failed:', error);
+
+      await db.collection('systemLogs')
+        .doc('muteExpiry')
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
+  // Accept a friend request
+  return {
+    // Exported for use by other modules (e.g., moderation.js, groups.js)
+    applyBlock,
+    purgeChatMessages,
+
+    acceptFriendRequest: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      // Security check remains the same
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // restoreArchivedVideos: bring back videos archived by a previous unfriend (default on).
+      // Pass false to let the user decide later via restoreArchivedChatVideos.
+      const { friendshipId, restoreArchivedVideos = true } = request.data;
+      const acceptingUserId = request.auth.uid;
+
+      if (!friendshipId) {
+        throw new HttpsError('invalid-argument', 'Friendship ID is required');
+      }
+
+      console.log(`🔔 FRIEND ACCEPT: User ${acceptingUserId} accepting friendship ${friendshipId}`);
+
+      try {
+        const result = await db.runTransaction(async (transaction) => {
+          // STEP 1: GATHER ALL DOCUMENT REFERENCES WE'LL NEED
+          console.log(`📚 Getting document references for friendship ${friendshipId}`);
+          const friendshipRef = db.collection('friendships').doc(friendshipId);
+
+          // STEP 2: READ ALL DOCUMENTS FIRST
+          console.log(`📖 Reading friendship document ${friendshipId}`);
+          const friendshipDoc = await transaction.get(friendshipRef);
+
+
+
+          // In acceptFriendRequest, before accessing friendship data:
+          if (!friendshipDoc.exists || !friendshipDoc.data()) {
+            console.error(`❌ Friendship ${friendshipId} not found or has no data`);
+            return { success: false, error: 'Friend request not found' };
+          }
+
+          const friendshipData = friendshipDoc.data();
+          if (!friendshipData.user1Id || !friendshipData.user2Id) {
+            console.error(`❌ Friendship ${friendshipId} missing user IDs`);
+            return { success: false, error: 'Invalid friendship data' };
+          }
+
+          console.log(`ℹ️ Friendship data: ${JSON.stringify(friendshipData)}`);
+
+          if (friendshipData.status !== 'pending') {
+            console.log(`⚠️ Friendship status is ${friendshipData.status}, not pending`);
+            return { success: false, error: 'This request is no longer pending' };
+          }
+
+          if (
+            friendshipData.user1Id !== acceptingUserId &&
+            friendshipData.user2Id !== acceptingUserId
+          ) {
+            console.error(`🚫 User ${acceptingUserId} not authorized for friendship ${friendshipId}`);
+            return { success: false, error: 'You do not have permission to accept this request' };
+          }
+
+          // Get the other user ID
+          const otherUserId = friendshipData.user1Id === acceptingUserId
+            ? friendshipData.user2Id
+            : friendshipData.user1Id;
+
+          console.log(`🤝 Accepting friendship between ${acceptingUserId} and ${otherUserId}`);
+
+          // Set up all references
+          const user1FriendshipRef = db
+            .collection('userFriendships')
+            .doc(acceptingUserId)
+            .collection('friends')
+            .doc(otherUserId);
+
+          const user2FriendshipRef = db
+            .collection('userFriendships')
+            .doc(otherUserId)
+            .collection('friends')
+            .doc(acceptingUserId);
+
+          const chatId = [acceptingUserId, otherUserId].sort().join('_');
+          const chatRef = db.collection('chats').doc(chatId);
+
+          console.log(`📖 Reading user friendship documents and chat document`);
+          // Read all documents before any writes
+          const user1Doc = await transaction.get(user1FriendshipRef);
+          const user2Doc = await transaction.get(user2FriendshipRef);
+          const chatDoc = await transaction.get(chatRef);
+
+          console.log(`✏️ Starting write operations in transaction`);
+          // STEP 4: NOW PERFORM ALL WRITES, AFTER ALL READS ARE COMPLETE
+
+          // 1. Update friendship document
+          console.log(`✏️ Updating friendship document to 'accepted'`);
+          transaction.update(friendshipRef, {
+            status: 'accepted',
+            userIds: [friendshipData.user1Id, friendshipData.user2Id].sort(), // Ensure userIds array exists
+            requestMessage: admin.firestore.FieldValue.delete(), // Request note is only for the pending stage
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          // 2. Update user1 friendship record
+          if (user1Doc.exists) {
+            console.log(`✏️ Updating existing friendship record for ${acceptingUserId}`);
+            transaction.update(user1FriendshipRef, {
+              status: 'accepted',
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          } else {
+            console.log(`✏️ Creating new friendship record for ${acceptingUserId}`);
+            transaction.set(user1FriendshipRef, {
+              friendshipId: friendshipId,
+              status: 'accepted',
+              role: friendshipData.user1Id === acceptingUserId ? 'recipient' : 'initiator',
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+              createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          }
+
+          // 3. Update user2 friendship record
+          if (user2Doc.exists) {
+            console.log(`✏️ Updating existing friendship record for ${otherUserId}`);
+            transaction.update(user2FriendshipRef, {
+              status: 'accepted',
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          } else {
+            console.log(`✏️ Creating new friendship record for ${otherUserId}`);
+            transaction.set(user2FriendshipRef, {
+              friendshipId: friendshipId,
+              status: 'accepted',
+              role: friendshipData.user2Id === acceptingUserId ? 'recipient' : 'initiator',
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+              createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          }
+
+          // 4. Create chat if it doesn't exist
+          if (!chatDoc.exists) {
+            console.log(`✏️ Creating new chat room with ID ${chatId}`);
+            transaction.set(chatRef, {
+              id: chatId,
+              participants: [acceptingUserId, otherUserId],
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+              lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+              expirationDays: null // Use the default expiration
+            });
+          } else {
+            // Re-friending - reactivate the chat that unfriend marked inactive
+            console.log(`ℹ️ Chat room ${chatId} already exists, reactivating`);
+            transaction.update(chatRef, {
+              isActive: true,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          }
+
+          // 5. Record the accept event
+          recordFriendshipEvent(transaction, {
+            friendshipId: friendshipId,
+            action: 'accept',
+            initiatorId: acceptingUserId,
+            targetId: otherUserId,
+            fromStatus: 'pending',
+            toStatus: 'accepted'
+          });
+
+          console.log(`✅ Friendship accepted successfully`);
+          return { success: true, chatId, chatExisted: chatDoc.exists };
+        });
+
+        if (!result.success) {
+          return result;
+        }
+
+        if (!result.chatExisted) {
+          return { success: true };
+        }
+
+        // Archived videos from a previous friendship (outside transaction due to potential batch size)
+        // The friendship is already accepted, so a failure here must not be reported as a failed accept
+        try {
+          if (restoreArchivedVideos) {
+            const restoredCount = await restoreUnfriendArchivedVideos(result.chatId);
+            return { success: true, restoredCount };
+          }
+
+          const archivedCount = await countRestorableVideos(result.chatId);
+          return { success: true, restoredCount: 0, archivedVideosAvailable: archivedCount };
+        } catch (restoreError) {
+          console.error(`⚠️ Friendship accepted but archived video restore failed for chat ${result.chatId}:`, restoreError);
+          return { success: true, restoredCount: 0, restoreFailed: true };
+        }
+      } catch (error) {
+        console.error(`❌ Error accepting friend request: ${error}`);
+        return { success: false, error: error.message };
+      }
+    }),
+
+    // Restore videos archived by a previous unfriend, for clients that deferred it on accept
+    restoreArchivedChatVideos: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 120
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { friendId } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!friendId) {
+        throw new HttpsError('invalid-argument', 'Friend ID is required');
+      }
+
+      const friendshipId = [userId, friendId].sort().join('_');
+      const chatId = [userId, friendId].sort().join('_');
+
+      try {
+        const friendshipDoc = await db.collection('friendships').doc(friendshipId).get();
+        if (!friendshipDoc.exists || friendshipDoc.data().status !== 'accepted') {
+          throw new HttpsError('failed-precondition', 'You are not currently friends with this user');
+        }
+
+        const restoredCount = await restoreUnfriendArchivedVideos(chatId);
+        return { success: true, restoredCount };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error restoring archived videos:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+// Add this function to friends.js, inside the returned object
+
+sendFriendRequest: onCall(async (request) => {
+    console.log('📨 sendFriendRequest started');
+    
+    // Validate authentication
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    
+    const senderId = request.auth.uid;
+    const { email, handle, message } = request.data;
+    
+    if (!email && !handle) {
+        throw new HttpsError('invalid-argument', 'Email or handle is required');
+    }
+    
+    const requestMessage = validateRequestMessage(message);
+    
+    try {
+        // Throttle before any lookup so the endpoint can't be used to probe accounts
+        if (rateLimiter) {
+            const outstandingSnapshot = await db.collection('friendships')
+                .where('initiatorId', '==', senderId)
+                .where('status', '==', 'pending')
+                .count()
+                .get();
+            
+            await rateLimiter.enforceRateLimit(senderId, 'friendRequest', {
+                outstanding: outstandingSnapshot.data().count
+            });
+        }
+        
+        let targetUser;
+        
+        if (handle) {
+            // Find target user by @handle reservation
+            console.log(`📨 Sender: ${senderId}, Target handle: ${handle}`);
+            const targetUid = usernameFunctions ? await usernameFunctions.resolveHandle(handle) : null;
+            targetUser = targetUid ? await db.collection('users').doc(targetUid).get() : null;
+            
+            if (!targetUser || !targetUser.exists) {
+                console.log('❌ User not found for handle:', handle);
+                throw new HttpsError('not-found', 'User not found');
+            }
+        } else {
+            // Find target user by email
+            const normalizedEmail = email.toLowerCase().trim();
+            console.log(`📨 Sender: ${senderId}, Target email: ${normalizedEmail}`);
+            
+            const usersSnapshot = await db.collection('users')
+                .where('email', '==', normalizedEmail)
+                .limit(1)
+                .get();
+            
+            if (usersSnapshot.empty) {
+                console.log('❌ User not found for email:', normalizedEmail);
+                throw new HttpsError('not-found', 'User not found');
+            }
+            
+            targetUser = usersSnapshot.docs[0];
+        }
+        
+        const targetUserId = targetUser.id;
+        const targetUserData = targetUser.data();
         
         // Prevent self-friending
         if (targetUserId === senderId) {
@@ -325,46 +1686,16 @@ sendFriendRequest: onCall(async (request) => {
         const senderDoc = await db.collection('users').doc(senderId).get();
         const senderData = senderDoc.data() || {};
         
-        const now = admin.firestore.Timestamp.now();
-        
         // Use a batch to write all documents atomically
         const batch = db.batch();
-        
-        // 1. Create/update main friendship document
-        const friendshipRef = db.collection('friendships').doc(friendshipId);
-        batch.set(friendshipRef, {
-            id: friendshipId,
-            user1Id: [senderId, targetUserId].sort()[0],
-            user2Id: [senderId, targetUserId].sort()[1],
-            userIds: [senderId, targetUserId].sort(), // Sorted array for collection queries
-            status: 'pending',
-            createdAt: now,
-            updatedAt: now,
-            initiatorId: senderId
-        });
-        
-        // 2. Create sender's userFriendships entry
-        const senderFriendRef = db.collection('userFriendships')
-            .doc(senderId)
-            .collection('friends')
-            .doc(targetUserId);
-        batch.set(senderFriendRef, {
-            friendshipId: friendshipId,
-            status: 'pending',
-            role: 'initiator',
-            createdAt: now
-        });
-        
-        // 3. Create recipient's userFriendships entry
-        const recipientFriendRef = db.collection('userFriendships')
-            .doc(targetUserId)
-            .collection('friends')
-            .doc(senderId);
-        batch.set(recipientFriendRef, {
+        writePendingFriendship(batch, senderId, targetUserId, requestMessage);
+        recordFriendshipEvent(batch, {
             friendshipId: friendshipId,
-            status: 'pending',
-            role: 'recipient',
-            createdAt: now
+            action: 'request',
+            initiatorId: senderId,
+            targetId: targetUserId,
+            toStatus: 'pending',
+            source: handle ? 'handle' : 'email'
         });
         
         await batch.commit();
@@ -382,12 +1713,346 @@ sendFriendRequest: onCall(async (request) => {
         console.error('❌ Error sending friend request:', error);
         
         if (error instanceof HttpsError) {
-            throw error;
+            throw error;
+        }
+        
+        throw new HttpsError('internal', error.message || 'Failed to send friend request');
+    }
+}),
+
+    // Create a shareable friend invite (link / QR token)
+    createFriendInvite: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60,
+      secrets: [jwtSecret]
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const inviterId = request.auth.uid;
+      const {
+        maxRedemptions = 1,
+        expiresInHours = DEFAULT_INVITE_EXPIRY_HOURS,
+        autoAccept = false
+      } = request.data || {};
+
+      if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1 || maxRedemptions > MAX_INVITE_REDEMPTIONS) {
+        throw new HttpsError('invalid-argument', `maxRedemptions must be between 1 and ${MAX_INVITE_REDEMPTIONS}`);
+      }
+
+      if (typeof expiresInHours !== 'number' || expiresInHours < 1 || expiresInHours > MAX_INVITE_EXPIRY_HOURS) {
+        throw new HttpsError('invalid-argument', `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}`);
+      }
+
+      try {
+        const inviteRef = db.collection('friendInvites').doc();
+        const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+        const token = signupFunctions.generateToken(
+          {
+            inviteId: inviteRef.id,
+            inviterId: inviterId,
+            purpose: 'friend_invite'
+          },
+          jwtSecret.value(),
+          Math.floor(expiresInHours * 60)
+        );
+
+        await inviteRef.set({
+          id: inviteRef.id,
+          inviterId: inviterId,
+          token: token,
+          maxRedemptions: maxRedemptions,
+          redemptionCount: 0,
+          autoAccept: autoAccept === true,
+          revoked: false,
+          revokedAt: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
+        });
+
+        console.log(`🎟️ User ${inviterId} created friend invite ${inviteRef.id} (max: ${maxRedemptions})`);
+
+        return {
+          success: true,
+          inviteId: inviteRef.id,
+          token: token,
+          inviteUrl: `${INVITE_LINK_BASE_URL}?token=${encodeURIComponent(token)}`,
+          expiresAt: expiresAt.toISOString()
+        };
+      } catch (error) {
+        console.error(`❌ Error creating friend invite: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Redeem a friend invite token - creates a pending request to the inviter, or an
+    // accepted friendship if the inviter opted into auto-accept
+    redeemFriendInvite: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60,
+      secrets: [jwtSecret]
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const redeemerId = request.auth.uid;
+      const { token } = request.data || {};
+
+      if (!token) {
+        throw new HttpsError('invalid-argument', 'Invite token is required');
+      }
+
+      // Verify JWT signature and expiration
+      let decoded;
+      try {
+        decoded = signupFunctions.verifyToken(token, jwtSecret.value());
+      } catch (error) {
+        if (error.code === 'deadline-exceeded') {
+          throw new HttpsError('deadline-exceeded', 'This invite has expired');
+        }
+        throw new HttpsError('invalid-argument', 'Invalid invite');
+      }
+
+      if (decoded.purpose !== 'friend_invite' || !decoded.inviteId) {
+        throw new HttpsError('invalid-argument', 'Invalid invite');
+      }
+
+      const { inviteId, inviterId } = decoded;
+
+      if (inviterId === redeemerId) {
+        throw new HttpsError('invalid-argument', 'Cannot redeem your own invite');
+      }
+
+      console.log(`🎟️ INVITE: User ${redeemerId} redeeming invite ${inviteId} from ${inviterId}`);
+
+      try {
+        const result = await db.runTransaction(async (transaction) => {
+          const friendshipId = [redeemerId, inviterId].sort().join('_');
+          const inviteRef = db.collection('friendInvites').doc(inviteId);
+          const friendshipRef = db.collection('friendships').doc(friendshipId);
+          const inviterRef = db.collection('users').doc(inviterId);
+          const chatRef = db.collection('chats').doc(friendshipId);
+          const redemptionRef = inviteRef.collection('redemptions').doc(redeemerId);
+
+          // Read all documents before any writes
+          const inviteDoc = await transaction.get(inviteRef);
+          const friendshipDoc = await transaction.get(friendshipRef);
+          const inviterDoc = await transaction.get(inviterRef);
+          const chatDoc = await transaction.get(chatRef);
+          const redemptionDoc = await transaction.get(redemptionRef);
+
+          if (!inviteDoc.exists || !inviterDoc.exists) {
+            throw new HttpsError('not-found', 'Invite not found');
+          }
+
+          const inviteData = inviteDoc.data();
+
+          if (inviteData.token !== token || inviteData.inviterId !== inviterId) {
+            throw new HttpsError('invalid-argument', 'Invalid invite');
+          }
+
+          if (inviteData.revoked) {
+            throw new HttpsError('failed-precondition', 'This invite has been revoked');
+          }
+
+          if (new Date() > inviteData.expiresAt.toDate()) {
+            throw new HttpsError('deadline-exceeded', 'This invite has expired');
+          }
+
+          if (inviteData.redemptionCount >= inviteData.maxRedemptions) {
+            throw new HttpsError('resource-exhausted', 'This invite has reached its redemption limit');
+          }
+
+          // One redemption per user - otherwise a multi-use invite could re-send a rejected request
+          if (redemptionDoc.exists) {
+            throw new HttpsError('already-exists', 'You have already redeemed this invite');
+          }
+
+          if (friendshipDoc.exists) {
+            const status = friendshipDoc.data().status;
+
+            // Same response as a missing invite so blocks aren't revealed
+            if (status === 'blocked') {
+              throw new HttpsError('not-found', 'Invite not found');
+            }
+
+            if (status === 'accepted') {
+              throw new HttpsError('already-exists', 'Already friends with this user');
+            }
+
+            if (status === 'pending') {
+              throw new HttpsError('already-exists', 'Friend request already pending');
+            }
+          }
+
+          let status;
+          if (inviteData.autoAccept) {
+            writeAcceptedFriendship(transaction, inviterId, redeemerId, chatDoc);
+            status = 'accepted';
+          } else {
+            // The redeemer asks the inviter, who still gets to accept
+            writePendingFriendship(transaction, redeemerId, inviterId);
+            status = 'pending';
+          }
+
+          recordFriendshipEvent(transaction, {
+            friendshipId: friendshipId,
+            action: status === 'accepted' ? 'accept' : 'request',
+            initiatorId: redeemerId,
+            targetId: inviterId,
+            toStatus: status,
+            source: 'invite',
+            inviteId: inviteId
+          });
+
+          transaction.update(inviteRef, {
+            redemptionCount: admin.firestore.FieldValue.increment(1),
+            lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          transaction.set(redemptionRef, {
+            redeemerId: redeemerId,
+            friendshipId: friendshipId,
+            status: status,
+            redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          console.log(`✅ Invite ${inviteId} redeemed - friendship ${friendshipId} is ${status}`);
+          return {
+            success: true,
+            friendshipId: friendshipId,
+            status: status,
+            inviterId: inviterId,
+            inviterDisplayName: inviterDoc.data().displayName || 'Unknown',
+            chatExisted: chatDoc.exists
+          };
+        });
+
+        const { chatExisted, ...response } = result;
+
+        // Auto-accepted re-friends get their archived videos back, same as acceptFriendRequest
+        // The redemption is already committed, so a failure here must not be reported as a failed redeem
+        if (response.status === 'accepted' && chatExisted) {
+          try {
+            response.restoredCount = await restoreUnfriendArchivedVideos(response.friendshipId);
+          } catch (restoreError) {
+            console.error(`⚠️ Invite ${inviteId} redeemed but archived video restore failed:`, restoreError);
+            response.restoredCount = 0;
+            response.restoreFailed = true;
+          }
+        }
+
+        return response;
+      } catch (error) {
+        console.error('❌ Error redeeming friend invite:', error);
+
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+
+        throw new HttpsError('internal', error.message || 'Failed to redeem invite');
+      }
+    }),
+
+    // List the caller's friend invites
+    listFriendInvites: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const inviterId = request.auth.uid;
+      const { includeInactive = false } = request.data || {};
+
+      try {
+        const snapshot = await db.collection('friendInvites')
+          .where('inviterId', '==', inviterId)
+          .orderBy('createdAt', 'desc')
+          .limit(MAX_INVITE_REDEMPTIONS)
+          .get();
+
+        const now = new Date();
+        const invites = snapshot.docs
+          .map(doc => {
+            const data = doc.data();
+            const expiresAt = data.expiresAt.toDate();
+            const isActive = !data.revoked &&
+              expiresAt > now &&
+              data.redemptionCount < data.maxRedemptions;
+
+            return {
+              inviteId: doc.id,
+              inviteUrl: `${INVITE_LINK_BASE_URL}?token=${encodeURIComponent(data.token)}`,
+              token: data.token,
+              maxRedemptions: data.maxRedemptions,
+              redemptionCount: data.redemptionCount,
+              autoAccept: data.autoAccept,
+              revoked: data.revoked,
+              expiresAt: expiresAt.toISOString(),
+              isActive: isActive
+            };
+          })
+          .filter(invite => includeInactive || invite.isActive);
+
+        return { success: true, invites };
+      } catch (error) {
+        console.error(`❌ Error listing friend invites: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Revoke one of the caller's friend invites
+    revokeFriendInvite: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { inviteId } = request.data || {};
+
+      if (!inviteId) {
+        throw new HttpsError('invalid-argument', 'Invite ID is required');
+      }
+
+      try {
+        const inviteRef = db.collection('friendInvites').doc(inviteId);
+        const inviteDoc = await inviteRef.get();
+
+        if (!inviteDoc.exists) {
+          throw new HttpsError('not-found', 'Invite not found');
+        }
+
+        if (inviteDoc.data().inviterId !== userId) {
+          throw new HttpsError('permission-denied', 'You can only revoke your own invites');
+        }
+
+        await inviteRef.update({
+          revoked: true,
+          revokedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`🚫 User ${userId} revoked friend invite ${inviteId}`);
+        return { success: true };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
         }
-        
-        throw new HttpsError('internal', error.message || 'Failed to send friend request');
-    }
-}),
+        console.error(`❌ Error revoking friend invite: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
 
 
     // Reject/cancel a friend request
@@ -401,81 +2066,465 @@ sendFriendRequest: onCall(async (request) => {
         throw new HttpsError('unauthenticated', 'You must be logged in to reject friend requests');
       }
 
-      const { friendshipId } = request.data; // Changed from data to request.data
+      const { friendshipId, reason = null } = request.data; // Changed from data to request.data
       const userId = request.auth.uid;
 
       if (!friendshipId) {
         throw new HttpsError('invalid-argument', 'Friendship ID is required');
       }
 
+      validateRequestReason(reason);
 
       try {
-        // Use a transaction to ensure data consistency
-        return await db.runTransaction(async (transaction) => {
-          // Get the friendship document
-          const friendshipRef = db.collection('friendships').doc(friendshipId);
-          const friendshipDoc = await transaction.get(friendshipRef);
+        return await removePendingRequest(userId, friendshipId, { reason });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error rejecting friend request:', error);
+        throw new HttpsError(
+          'internal',
+          error.message
+        );
+      }
+    }),
 
-          if (!friendshipDoc.exists) {
-            throw new HttpsError(
-              'not-found',
-              'Friend request not found'
-            );
+    // Cancel an outgoing friend request (initiator only)
+    cancelFriendRequest: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in to cancel friend requests');
+      }
+
+      const { friendshipId, reason = null } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!friendshipId) {
+        throw new HttpsError('invalid-argument', 'Friendship ID is required');
+      }
+
+      validateRequestReason(reason);
+
+      try {
+        return await removePendingRequest(userId, friendshipId, { initiatorOnly: true, reason });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error cancelling friend request:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // List the caller's incoming or outgoing pending friend requests
+    listFriendRequests: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const {
+        direction = 'incoming',
+        cursor = null,
+        limit = DEFAULT_REQUESTS_PAGE_SIZE
+      } = request.data || {};
+
+      if (!['incoming', 'outgoing'].includes(direction)) {
+        throw new HttpsError('invalid-argument', "direction must be 'incoming' or 'outgoing'");
+      }
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_REQUESTS_PAGE_SIZE, 1), MAX_REQUESTS_PAGE_SIZE);
+      const friendsRef = db.collection('userFriendships').doc(userId).collection('friends');
+
+      try {
+        let query = friendsRef
+          .where('status', '==', 'pending')
+          .where('role', '==', direction === 'incoming' ? 'recipient' : 'initiator')
+          .orderBy('createdAt', 'desc')
+          .limit(pageSize);
+
+        // The cursor is the other user's ID from the last entry of the previous page
+        if (cursor) {
+          const cursorDoc = await friendsRef.doc(cursor).get();
+          if (!cursorDoc.exists) {
+            throw new HttpsError('invalid-argument', 'Invalid cursor');
           }
+          query = query.startAfter(cursorDoc);
+        }
 
-          const friendshipData = friendshipDoc.data();
+        const snapshot = await query.get();
+        const summaries = await getUserSummaries(snapshot.docs.map(doc => doc.id));
 
-          // Only pending requests can be rejected
-          if (friendshipData.status !== 'pending') {
-            throw new HttpsError(
-              'failed-precondition',
-              'This request is no longer pending'
-            );
+        const requests = snapshot.docs.map(doc => {
+          const data = doc.data();
+          const summary = summaries.get(doc.id) || { userId: doc.id, displayName: 'Unknown', avatarUrl: null };
+
+          return {
+            ...summary,
+            friendshipId: data.friendshipId,
+            direction: direction,
+            createdAt: data.createdAt?.toDate?.().toISOString() || null
+          };
+        });
+
+        const nextCursor = snapshot.size === pageSize
+          ? snapshot.docs[snapshot.docs.length - 1].id
+          : null;
+
+        return { success: true, requests, nextCursor };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error listing friend requests: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Admin-only: full event timeline and current state for a pair of users
+    getFriendshipHistory: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const callerDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!callerDoc.exists || !callerDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { userA, userB, cursor = null, limit = DEFAULT_HISTORY_PAGE_SIZE } = request.data || {};
+
+      if (!userA || !userB || userA === userB) {
+        throw new HttpsError('invalid-argument', 'Two different user IDs are required');
+      }
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+      const friendshipId = [userA, userB].sort().join('_');
+
+      try {
+        let query = db.collection('friendshipEvents')
+          .where('friendshipId', '==', friendshipId)
+          .orderBy('timestamp', 'desc')
+          .limit(pageSize);
+
+        // The cursor is the event ID from the last entry of the previous page
+        if (cursor) {
+          const cursorDoc = await db.collection('friendshipEvents').doc(cursor).get();
+          if (!cursorDoc.exists || cursorDoc.data().friendshipId !== friendshipId) {
+            throw new HttpsError('invalid-argument', 'Invalid cursor');
           }
+          query = query.startAfter(cursorDoc);
+        }
 
-          // Verify user is party to this friendship
-          if (
-            friendshipData.user1Id !== userId &&
-            friendshipData.user2Id !== userId
-          ) {
-            throw new HttpsError(
-              'permission-denied',
-              'You do not have permission to reject this request'
-            );
+        const [snapshot, friendshipDoc, userADoc, userBDoc, chatDoc] = await Promise.all([
+          query.get(),
+          db.collection('friendships').doc(friendshipId).get(),
+          db.collection('userFriendships').doc(userA).collection('friends').doc(userB).get(),
+          db.collection('userFriendships').doc(userB).collection('friends').doc(userA).get(),
+          db.collection('chats').doc(friendshipId).get()
+        ]);
+
+        // Current state alongside the timeline makes disputed states easy to compare
+        const currentState = {
+          friendshipStatus: friendshipDoc.exists ? friendshipDoc.data().status : null,
+          blockedBy: friendshipDoc.exists ? friendshipDoc.data().blockedBy || null : null,
+          userAStatus: userADoc.exists ? userADoc.data().status : null,
+          userARole: userADoc.exists ? userADoc.data().role || null : null,
+          userBStatus: userBDoc.exists ? userBDoc.data().status : null,
+          userBRole: userBDoc.exists ? userBDoc.data().role || null : null,
+          chatExists: chatDoc.exists,
+          chatActive: chatDoc.exists ? chatDoc.data().isActive !== false : null
+        };
+
+        const nextCursor = snapshot.size === pageSize
+          ? snapshot.docs[snapshot.docs.length - 1].id
+          : null;
+
+        console.log(`🔧 Admin ${request.auth.uid} viewed friendship history for ${friendshipId}`);
+        return {
+          success: true,
+          friendshipId,
+          currentState,
+          events: snapshot.docs.map(formatFriendshipEvent),
+          nextCursor
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error getting friendship history: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // The caller's recent friend activity, newest first
+    // Blocks, unblocks, rejections and withdrawn requests are never shown to the other user, and reasons only to their author
+    getMyFriendActivity: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { cursor = null, limit = DEFAULT_ACTIVITY_PAGE_SIZE } = request.data || {};
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_ACTIVITY_PAGE_SIZE, 1), MAX_ACTIVITY_PAGE_SIZE);
+
+      try {
+        let query = db.collection('friendshipEvents')
+          .where('userIds', 'array-contains', userId)
+          .orderBy('timestamp', 'desc')
+          .limit(pageSize);
+
+        // The cursor is the event ID from the last entry of the previous page
+        if (cursor) {
+          const cursorDoc = await db.collection('friendshipEvents').doc(cursor).get();
+          if (!cursorDoc.exists || !(cursorDoc.data().userIds || []).includes(userId)) {
+            throw new HttpsError('invalid-argument', 'Invalid cursor');
           }
+          query = query.startAfter(cursorDoc);
+        }
 
-          // Get the other user ID
-          const otherUserId = friendshipData.user1Id === userId
-            ? friendshipData.user2Id
-            : friendshipData.user1Id;
+        const snapshot = await query.get();
 
-          // 1. Delete friendship document
-          transaction.delete(friendshipRef);
+        const visibleDocs = snapshot.docs.filter(doc => {
+          const data = doc.data();
+          return !(['block', 'unblock', 'reject', 'cancel'].includes(data.action) && data.targetId === userId);
+        });
 
-          // 2. Delete user friendship records
-          const user1FriendshipRef = db
-            .collection('userFriendships')
-            .doc(userId)
-            .collection('friends')
-            .doc(otherUserId);
+        const otherIds = visibleDocs.map(doc => {
+          const data = doc.data();
+          return data.initiatorId === userId ? data.targetId : data.initiatorId;
+        });
+        const summaries = await getUserSummaries(otherIds);
+
+        const activity = visibleDocs.map((doc, index) => {
+          const data = doc.data();
+          const otherId = otherIds[index];
+
+          return {
+            id: doc.id,
+            action: data.action,
+            direction: data.initiatorId === userId ? 'outgoing' : 'incoming',
+            user: summaries.get(otherId) || { userId: otherId, displayName: 'Unknown', avatarUrl: null },
+            source: data.source || null,
+            reason: data.initiatorId === userId ? data.reason || null : null,
+            timestamp: data.timestamp?.toDate?.().toISOString() || null
+          };
+        });
 
-          const user2FriendshipRef = db
-            .collection('userFriendships')
-            .doc(otherUserId)
-            .collection('friends')
-            .doc(userId);
+        // Paginate on the raw page so hidden events don't end it early
+        const nextCursor = snapshot.size === pageSize
+          ? snapshot.docs[snapshot.docs.length - 1].id
+          : null;
 
-          transaction.delete(user1FriendshipRef);
-          transaction.delete(user2FriendshipRef);
+        return { success: true, activity, nextCursor };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error getting friend activity: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
 
-          return { success: true };
+    // Mute a friend's notifications without unfriending them
+    // Only affects the caller's own mirror entry; durationHours omitted means until unmuted
+    muteFriend: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { friendId, durationHours = null } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!friendId) {
+        throw new HttpsError('invalid-argument', 'Friend ID is required');
+      }
+
+      if (durationHours !== null &&
+          (typeof durationHours !== 'number' || durationHours <= 0 || durationHours > MAX_MUTE_DURATION_HOURS)) {
+        throw new HttpsError('invalid-argument', `durationHours must be between 0 and ${MAX_MUTE_DURATION_HOURS}`);
+      }
+
+      const mutedUntil = durationHours !== null
+        ? admin.firestore.Timestamp.fromMillis(Date.now() + durationHours * 60 * 60 * 1000)
+        : null;
+
+      try {
+        const friendRef = db.collection('userFriendships').doc(userId).collection('friends').doc(friendId);
+        const friendDoc = await friendRef.get();
+
+        if (!friendDoc.exists || friendDoc.data().status !== 'accepted') {
+          throw new HttpsError('failed-precondition', 'You can only mute friends');
+        }
+
+        await friendRef.update({
+          isMuted: true,
+          mutedAt: admin.firestore.FieldValue.serverTimestamp(),
+          mutedUntil: mutedUntil,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
+
+        console.log(`🔇 User ${userId} muted ${friendId} ${mutedUntil ? `until ${mutedUntil.toDate().toISOString()}` : 'indefinitely'}`);
+        return {
+          success: true,
+          mutedUntil: mutedUntil ? mutedUntil.toDate().toISOString() : null
+        };
       } catch (error) {
-        console.error('Error rejecting friend request:', error);
-        throw new HttpsError(
-          'internal',
-          error.message
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error muting friend: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Unmute a friend
+    unmuteFriend: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { friendId } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!friendId) {
+        throw new HttpsError('invalid-argument', 'Friend ID is required');
+      }
+
+      try {
+        const friendRef = db.collection('userFriendships').doc(userId).collection('friends').doc(friendId);
+        const friendDoc = await friendRef.get();
+
+        if (!friendDoc.exists) {
+          throw new HttpsError('not-found', 'Friend not found');
+        }
+
+        if (!friendDoc.data().isMuted) {
+          return { success: true, wasMuted: false };
+        }
+
+        await friendRef.update({
+          isMuted: false,
+          mutedAt: admin.firestore.FieldValue.delete(),
+          mutedUntil: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`🔊 User ${userId} unmuted ${friendId}`);
+        return { success: true, wasMuted: true };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error unmuting friend: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Replace the caller's favorites with an ordered list of friend IDs
+    // Order is stored as favoriteOrder on each userFriendships entry; an empty list clears favorites
+    setFavoriteFriends: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { friendIds } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!Array.isArray(friendIds)) {
+        throw new HttpsError('invalid-argument', 'friendIds must be an array');
+      }
+
+      if (friendIds.length > MAX_FAVORITE_FRIENDS) {
+        throw new HttpsError('invalid-argument', `A maximum of ${MAX_FAVORITE_FRIENDS} favorites is allowed`);
+      }
+
+      if (!friendIds.every(id => typeof id === 'string' && id.length > 0)) {
+        throw new HttpsError('invalid-argument', 'Each friend ID must be a non-empty string');
+      }
+
+      if (new Set(friendIds).size !== friendIds.length) {
+        throw new HttpsError('invalid-argument', 'friendIds must not contain duplicates');
+      }
+
+      const friendsRef = db.collection('userFriendships').doc(userId).collection('friends');
+
+      try {
+        // 1. Every favorite must be an accepted friend
+        const entries = friendIds.length > 0
+          ? await db.getAll(...friendIds.map(id => friendsRef.doc(id)))
+          : [];
+
+        const invalidIds = friendIds.filter((id, index) =>
+          !entries[index].exists || entries[index].data().status !== 'accepted'
         );
+
+        if (invalidIds.length > 0) {
+          throw new HttpsError('failed-precondition', `Not an accepted friend: ${invalidIds.join(', ')}`);
+        }
+
+        // 2. Clear favorites that aren't in the new list
+        const currentFavorites = await friendsRef.where('isFavorite', '==', true).get();
+        const batch = db.batch();
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        currentFavorites.docs.forEach(doc => {
+          if (friendIds.includes(doc.id)) return;
+          batch.update(doc.ref, {
+            isFavorite: false,
+            favoriteOrder: admin.firestore.FieldValue.delete(),
+            updatedAt: now
+          });
+        });
+
+        // 3. Write the new order
+        friendIds.forEach((id, index) => {
+          batch.update(friendsRef.doc(id), {
+            isFavorite: true,
+            favoriteOrder: index,
+            updatedAt: now
+          });
+        });
+
+        await batch.commit();
+
+        console.log(`⭐ User ${userId} set ${friendIds.length} favorite friends`);
+        return { success: true, favoriteIds: friendIds };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error setting favorite friends: ${error}`);
+        throw new HttpsError('internal', error.message);
       }
     }),
 
@@ -534,13 +2583,12 @@ sendFriendRequest: onCall(async (request) => {
           const chatDoc = await transaction.get(chatRef);
 
           // 1. Record the unfriend event
-          const eventRef = db.collection('friendshipEvents').doc();
-          transaction.set(eventRef, {
+          recordFriendshipEvent(transaction, {
             friendshipId: friendshipId,
             action: 'unfriend',
             initiatorId: userId,
             targetId: otherUserId,
-            timestamp: admin.firestore.FieldValue.serverTimestamp()
+            fromStatus: 'accepted'
           });
 
           // 2. Delete friendship document
@@ -578,6 +2626,11 @@ sendFriendRequest: onCall(async (request) => {
           console.log(`📦 Archiving videos for chat ${chatId}`);
           await archiveUserVideos(chatId, userId);
           await archiveUserVideos(chatId, result.otherUserId);
+
+          // The chat is inactive now, so its unread messages shouldn't keep either badge up
+          if (chatFunctions) {
+            await chatFunctions.clearUnreadCounts(chatId, [userId, result.otherUserId]);
+          }
         }
 
         console.log(`✅ Unfriended successfully, videos archived`);
@@ -615,16 +2668,17 @@ sendFriendRequest: onCall(async (request) => {
 
 
     // Block someone
+    // historyMode 'hide' (default) archives the chat's messages; 'purge' deletes them and their files
     blockUser: onCall({
       region: 'us-central1',
       maxInstances: 10,
-      timeoutSeconds: 60
+      timeoutSeconds: 300
     }, async (request) => {
       if (!request.auth) {
         throw new HttpsError('unauthenticated', 'You must be logged in to block someone.');
       }
 
-      const { userId: userToBlockId } = request.data;
+      const { userId: userToBlockId, historyMode = 'hide' } = request.data;
       const blockingUserId = request.auth.uid;
 
       if (!userToBlockId) {
@@ -634,88 +2688,15 @@ sendFriendRequest: onCall(async (request) => {
         );
       }
 
-      const friendshipId = [blockingUserId, userToBlockId].sort().join('_');
+      if (!BLOCK_HISTORY_MODES.includes(historyMode)) {
+        throw new HttpsError(
+          'invalid-argument',
+          `historyMode must be one of: ${BLOCK_HISTORY_MODES.join(', ')}`
+        );
+      }
 
       try {
-        // Use a transaction to ensure data consistency
-        return await db.runTransaction(async (transaction) => {
-          // Get or create the friendship document
-          const friendshipRef = db.collection('friendships').doc(friendshipId);
-          const friendshipDoc = await transaction.get(friendshipRef);
-
-          // Prepare the friendship data
-          const now = admin.firestore.FieldValue.serverTimestamp();
-
-          if (friendshipDoc.exists) {
-            // Update existing friendship
-            transaction.update(friendshipRef, {
-              status: 'blocked',
-              blockedBy: blockingUserId,
-              userIds: [blockingUserId, userToBlockId].sort(), // Ensure userIds array exists
-              updatedAt: now
-            });
-          } else {
-            // Create new blocked relationship
-            transaction.set(friendshipRef, {
-              id: friendshipId,
-              user1Id: [blockingUserId, userToBlockId].sort()[0],
-              user2Id: [blockingUserId, userToBlockId].sort()[1],
-              userIds: [blockingUserId, userToBlockId].sort(), // Sorted array for collection queries
-              status: 'blocked',
-              blockedBy: blockingUserId,
-              createdAt: now,
-              updatedAt: now
-            });
-          }
-
-          // Update/create user friendship records
-          const user1FriendshipRef = db
-            .collection('userFriendships')
-            .doc(blockingUserId)
-            .collection('friends')
-            .doc(userToBlockId);
-
-          const user2FriendshipRef = db
-            .collection('userFriendships')
-            .doc(userToBlockId)
-            .collection('friends')
-            .doc(blockingUserId);
-
-          transaction.set(user1FriendshipRef, {
-            friendshipId: friendshipId,
-            status: 'blocked',
-            role: 'blocker',
-            updatedAt: now
-          }, { merge: true });
-
-          transaction.set(user2FriendshipRef, {
-            friendshipId: friendshipId,
-            status: 'blocked',
-            role: 'blocked',
-            updatedAt: now
-          }, { merge: true });
-
-          // Delete any existing chat
-          const chatId = [blockingUserId, userToBlockId].sort().join('_');
-          const chatRef = db.collection('chats').doc(chatId);
-          const chatDoc = await transaction.get(chatRef);
-
-          if (chatDoc.exists) {
-            transaction.delete(chatRef);
-
-            // Also delete messages in that chat
-            const messagesQuery = await db
-              .collection('messages')
-              .where('chatId', '==', chatId)
-              .get();
-
-            for (const doc of messagesQuery.docs) {
-              transaction.delete(doc.ref);
-            }
-          }
-
-          return { success: true };
-        });
+        return await applyBlock(blockingUserId, userToBlockId, historyMode);
       } catch (error) {
         console.error('Error blocking user:', error);
         throw new HttpsError(
@@ -837,71 +2818,120 @@ sendFriendRequest: onCall(async (request) => {
         throw new HttpsError('invalid-argument', 'User ID to unblock is required');
       }
 
-      const friendshipId = [unblockingUserId, userToUnblockId].sort().join('_');
+      try {
+        return await removeBlock(unblockingUserId, userToUnblockId);
+      } catch (error) {
+        console.error(`❌ Error unblocking user: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Unblock several users in one round trip
+    // Each user is unblocked in its own transaction, so one failure doesn't undo the rest
+    unblockUsers: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 120
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in to unblock someone.');
+      }
+
+      const { userIds } = request.data || {};
+      const unblockingUserId = request.auth.uid;
 
-      console.log(`🔓 UNBLOCK: User ${unblockingUserId} unblocking ${userToUnblockId}`);
+      if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw new HttpsError('invalid-argument', 'userIds must be a non-empty array');
+      }
 
-      try {
-        return await db.runTransaction(async (transaction) => {
-          // Get the friendship document
-          const friendshipRef = db.collection('friendships').doc(friendshipId);
-          const friendshipDoc = await transaction.get(friendshipRef);
+      const uniqueIds = [...new Set(userIds)];
+      if (uniqueIds.length > MAX_BULK_UNBLOCK) {
+        throw new HttpsError('invalid-argument', `A maximum of ${MAX_BULK_UNBLOCK} users can be unblocked at once`);
+      }
 
-          if (!friendshipDoc.exists) {
-            console.log(`❌ No friendship/block record found with ID ${friendshipId}`);
-            return { success: false, error: 'No block record found' };
-          }
+      if (!uniqueIds.every(id => typeof id === 'string' && id.length > 0)) {
+        throw new HttpsError('invalid-argument', 'Each user ID must be a non-empty string');
+      }
 
-          const friendshipData = friendshipDoc.data();
+      console.log(`🔓 BULK UNBLOCK: User ${unblockingUserId} unblocking ${uniqueIds.length} users`);
 
-          // Verify this is a blocked relationship
-          if (friendshipData.status !== 'blocked') {
-            console.log(`⚠️ Friendship status is ${friendshipData.status}, not blocked`);
-            return { success: false, error: 'This user is not blocked' };
-          }
+      const results = [];
+      for (const userToUnblockId of uniqueIds) {
+        try {
+          const result = await removeBlock(unblockingUserId, userToUnblockId);
+          results.push({ userId: userToUnblockId, ...result });
+        } catch (error) {
+          console.error(`❌ Error unblocking ${userToUnblockId}: ${error}`);
+          results.push({ userId: userToUnblockId, success: false, error: 'Failed to unblock user' });
+        }
+      }
 
-          // Verify the current user is the one who blocked
-          if (friendshipData.blockedBy !== unblockingUserId) {
-            console.log(`🚫 User ${unblockingUserId} did not block this user`);
-            return { success: false, error: 'You did not block this user' };
-          }
+      const unblockedCount = results.filter(result => result.success).length;
+      console.log(`✅ Bulk unblock complete: ${unblockedCount}/${uniqueIds.length} unblocked`);
 
-          console.log(`🔓 Removing block between ${unblockingUserId} and ${userToUnblockId}`);
+      return { success: true, unblockedCount, results };
+    }),
 
-          // Delete the friendship document (clean slate - they can re-friend if desired)
-          transaction.delete(friendshipRef);
+    // List the users the caller has blocked
+    listBlockedUsers: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
 
-          // Delete user friendship records
-          const user1FriendshipRef = db
-            .collection('userFriendships')
-            .doc(unblockingUserId)
-            .collection('friends')
-            .doc(userToUnblockId);
+      const userId = request.auth.uid;
+      const { cursor = null, limit = DEFAULT_BLOCKED_PAGE_SIZE } = request.data || {};
 
-          const user2FriendshipRef = db
-            .collection('userFriendships')
-            .doc(userToUnblockId)
-            .collection('friends')
-            .doc(unblockingUserId);
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_BLOCKED_PAGE_SIZE, 1), MAX_BLOCKED_PAGE_SIZE);
 
-          transaction.delete(user1FriendshipRef);
-          transaction.delete(user2FriendshipRef);
+      try {
+        let query = db.collection('friendships')
+          .where('status', '==', 'blocked')
+          .where('blockedBy', '==', userId)
+          .orderBy('updatedAt', 'desc')
+          .limit(pageSize);
+
+        // The cursor is the friendship ID from the last entry of the previous page
+        if (cursor) {
+          const cursorDoc = await db.collection('friendships').doc(cursor).get();
+          if (!cursorDoc.exists || cursorDoc.data().blockedBy !== userId) {
+            throw new HttpsError('invalid-argument', 'Invalid cursor');
+          }
+          query = query.startAfter(cursorDoc);
+        }
 
-          // Record the unblock event
-          const eventRef = db.collection('friendshipEvents').doc();
-          transaction.set(eventRef, {
-            friendshipId: friendshipId,
-            action: 'unblock',
-            initiatorId: unblockingUserId,
-            targetId: userToUnblockId,
-            timestamp: admin.firestore.FieldValue.serverTimestamp()
-          });
+        const snapshot = await query.get();
 
-          console.log(`✅ User ${userToUnblockId} unblocked successfully`);
-          return { success: true };
+        const blockedIds = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return data.user1Id === userId ? data.user2Id : data.user1Id;
         });
+        const summaries = await getUserSummaries(blockedIds);
+
+        const blockedUsers = snapshot.docs.map((doc, index) => {
+          const blockedId = blockedIds[index];
+          const summary = summaries.get(blockedId) || { userId: blockedId, displayName: 'Unknown', avatarUrl: null };
+
+          return {
+            ...summary,
+            friendshipId: doc.id,
+            blockedAt: doc.data().updatedAt?.toDate?.().toISOString() || null
+          };
+        });
+
+        const nextCursor = snapshot.size === pageSize
+          ? snapshot.docs[snapshot.docs.length - 1].id
+          : null;
+
+        return { success: true, blockedUsers, nextCursor };
       } catch (error) {
-        console.error(`❌ Error unblocking user: ${error}`);
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error(`❌ Error listing blocked users: ${error}`);
         throw new HttpsError('internal', error.message);
       }
     }),
@@ -1072,8 +3102,296 @@ sendFriendRequest: onCall(async (request) => {
         console.error(`❌ Error repairing friendship: ${error}`);
         return { success: false, error: error.message };
       }
-    })
+    }),
+
+    // Suggest people the caller may know, ranked by mutual friend count
+    getFriendSuggestions: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { limit = DEFAULT_SUGGESTIONS_PAGE_SIZE, cursor = null } = request.data || {};
 
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SUGGESTIONS_PAGE_SIZE, 1), MAX_SUGGESTIONS_PAGE_SIZE);
+      const offset = cursor ? parseInt(cursor, 10) : 0;
 
+      if (isNaN(offset) || offset < 0) {
+        throw new HttpsError('invalid-argument', 'Invalid cursor');
+      }
+
+      console.log(`💡 SUGGESTIONS: Building friend suggestions for ${userId} (offset: ${offset})`);
+
+      try {
+        // 1. Anyone the caller already has a relationship with (any status) is excluded
+        const [myFriendsSnapshot, dismissedSnapshot] = await Promise.all([
+          db.collection('userFriendships').doc(userId).collection('friends').get(),
+          db.collection('users').doc(userId).collection('dismissedSuggestions').get()
+        ]);
+
+        const excludedIds = new Set([userId]);
+        const friendIds = [];
+
+        myFriendsSnapshot.docs.forEach(doc => {
+          excludedIds.add(doc.id);
+          if (doc.data().status === 'accepted') {
+            friendIds.push(doc.id);
+          }
+        });
+        dismissedSnapshot.docs.forEach(doc => excludedIds.add(doc.id));
+
+        // 2. Count mutual friends across each friend's accepted friendships
+        const friendsToScan = friendIds.slice(0, MAX_FRIENDS_SCANNED_FOR_SUGGESTIONS);
+        const friendsOfFriends = await Promise.all(friendsToScan.map(friendId =>
+          db.collection('userFriendships')
+            .doc(friendId)
+            .collection('friends')
+            .where('status', '==', 'accepted')
+            .get()
+        ));
+
+        const mutualCounts = new Map();
+        for (const snapshot of friendsOfFriends) {
+          for (const doc of snapshot.docs) {
+            if (excludedIds.has(doc.id)) continue;
+            mutualCounts.set(doc.id, (mutualCounts.get(doc.id) || 0) + 1);
+          }
+        }
+
+        // Most mutual friends first, user ID as a stable tie-breaker so cursors stay valid
+        const ranked = Array.from(mutualCounts.entries())
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+        // 3. Walk the ranking from the cursor, dropping blocked/pending pairs and deleted users
+        const suggestions = [];
+        let position = offset;
+
+        while (position < ranked.length && suggestions.length < pageSize) {
+          const chunk = ranked.slice(position, position + (pageSize - suggestions.length));
+          position += chunk.length;
+
+          const candidateIds = chunk.map(([candidateId]) => candidateId);
+          const friendshipRefs = candidateIds.map(candidateId =>
+            db.collection('friendships').doc([userId, candidateId].sort().join('_'))
+          );
+
+          const [friendshipDocs, summaries] = await Promise.all([
+            db.getAll(...friendshipRefs),
+            getUserSummaries(candidateIds)
+          ]);
+
+          chunk.forEach(([candidateId, mutualFriendCount], index) => {
+            const friendshipDoc = friendshipDocs[index];
+            if (friendshipDoc.exists && ['blocked', 'pending'].includes(friendshipDoc.data().status)) {
+              return;
+            }
+
+            const summary = summaries.get(candidateId);
+            if (!summary) return;
+
+            suggestions.push({ ...summary, mutualFriendCount });
+          });
+        }
+
+        const nextCursor = position < ranked.length ? String(position) : null;
+
+        console.log(`✅ Returning ${suggestions.length} suggestions for ${userId}`);
+        return { success: true, suggestions, nextCursor };
+      } catch (error) {
+        console.error(`❌ Error building friend suggestions: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Hide a user from the caller's friend suggestions
+    dismissFriendSuggestion: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { userId: dismissedUserId } = request.data || {};
+      const userId = request.auth.uid;
+
+      if (!dismissedUserId || typeof dismissedUserId !== 'string') {
+        throw new HttpsError('invalid-argument', 'User ID to dismiss is required');
+      }
+
+      if (dismissedUserId === userId) {
+        throw new HttpsError('invalid-argument', 'Cannot dismiss yourself');
+      }
+
+      try {
+        await db.collection('users')
+          .doc(userId)
+          .collection('dismissedSuggestions')
+          .doc(dismissedUserId)
+          .set({
+            dismissedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+        console.log(`🙈 User ${userId} dismissed suggestion ${dismissedUserId}`);
+        return { success: true };
+      } catch (error) {
+        console.error(`❌ Error dismissing friend suggestion: ${error}`);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Scheduled function - expires stale pending friend requests daily at 4:30 AM
+    expireStalePendingRequests: onSchedule({
+      schedule: '30 4 * * *',
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performPendingRequestExpiry({
+        triggeredBy: 'scheduled',
+        batchSize: 100,
+        maxAgeDays: await getPendingRequestExpiryDays()
+      });
+    }),
+
+    // Manual trigger for admins to expire stale pending friend requests
+    manualExpirePendingRequests: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const {
+        dryRun = true,
+        batchSize = 100,
+        maxAgeDays = await getPendingRequestExpiryDays()
+      } = request.data || {};
+
+      if (typeof maxAgeDays !== 'number' || maxAgeDays < 1) {
+        throw new HttpsError('invalid-argument', 'maxAgeDays must be at least 1');
+      }
+
+      console.log(`🔧 Manual pending request expiry triggered by ${request.auth.uid}`);
+
+      try {
+        return await performPendingRequestExpiry({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          batchSize: batchSize,
+          maxAgeDays: maxAgeDays
+        });
+      } catch (error) {
+        console.error('Manual pending request expiry error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+    // Scheduled function - sweeps the friendship graph for inconsistencies daily at 1 AM
+    sweepFriendshipConsistency: onSchedule({
+      schedule: '0 1 * * *',
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performFriendshipConsistencySweep({
+        triggeredBy: 'scheduled'
+      });
+    }),
+
+    // Manual trigger for admins to run the friendship consistency sweep
+    manualFriendshipConsistencySweep: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { dryRun = true, maxFriendships = 500, maxMirrors = 1000 } = request.data || {};
+
+      console.log(`🔧 Manual friendship consistency sweep triggered by ${request.auth.uid}`);
+
+      try {
+        return await performFriendshipConsistencySweep({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          maxFriendships: maxFriendships,
+          maxMirrors: maxMirrors
+        });
+      } catch (error) {
+        console.error('Manual friendship consistency sweep error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Scheduled function - clears expired timed mutes every hour
+    expireFriendMutes: onSchedule({
+      schedule: '15 * * * *',
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performMuteExpiry({
+        triggeredBy: 'scheduled'
+      });
+    }),
+
+    // Manual trigger for admins to clear expired mutes
+    manualExpireFriendMutes: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { dryRun = true, batchSize = 200 } = request.data || {};
+
+      console.log(`🔧 Manual friend mute expiry triggered by ${request.auth.uid}`);
+
+      try {
+        return await performMuteExpiry({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          batchSize: batchSize
+        });
+      } catch (error) {
+        console.error('Manual friend mute expiry error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    })
   };
 };
@@ -0,0 +1,1327 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const crypto = require('crypto');
+
+// Constants
+const MAX_GROUP_NAME_LENGTH = 50;
+const MAX_GROUP_MEMBERS = 50;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_PATTERN = /^[A-Z0-9]{8}$/;
+const DEFAULT_INVITE_CODE_EXPIRY_HOURS = 72;
+const MAX_INVITE_CODE_EXPIRY_HOURS = 720; // 30 days
+const DEFAULT_INVITE_CODE_MAX_USES = 10;
+
+/**
+ * Validate and trim a group name, throwing an HttpsError if invalid
+ */
+function validateGroupName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new HttpsError('invalid-argument', 'Group name is required');
+  }
+
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    throw new HttpsError('invalid-argument', `Group name must be ${MAX_GROUP_NAME_LENGTH} characters or less`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validate a list of user IDs, returning it de-duplicated
+ */
+function validateUserIds(userIds, { allowEmpty = false } = {}) {
+  if (!Array.isArray(userIds) || (!allowEmpty && userIds.length === 0)) {
+    throw new HttpsError('invalid-argument', 'userIds must be a non-empty array');
+  }
+
+  if (!userIds.every(id => typeof id === 'string' && id.length > 0)) {
+    throw new HttpsError('invalid-argument', 'Each user ID must be a non-empty string');
+  }
+
+  return [...new Set(userIds)];
+}
+
+/**
+ * Generate a random, human-friendly invite code
+ */
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a user-entered invite code for lookup
+ */
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase().replace(/[\s-]/g, '') : '';
+}
+
+module.exports = (firebaseHelper, rateLimiter = null, friendFunctions = null, chatFunctions = null) => {
+  const { admin, db } = firebaseHelper;
+
+  function memberRef(groupId, userId) {
+    return db.collection('groups').doc(groupId).collection('members').doc(userId);
+  }
+
+  /**
+   * Read a group inside a transaction and verify the caller belongs to it
+   * Returns the group data; throws not-found for non-members so groups aren't revealed
+   */
+  async function getGroupForMember(transaction, groupId, userId) {
+    const groupDoc = await transaction.get(db.collection('groups').doc(groupId));
+
+    if (!groupDoc.exists || !(groupDoc.data().memberIds || []).includes(userId)) {
+      throw new HttpsError('not-found', 'Group not found');
+    }
+
+    return groupDoc.data();
+  }
+
+  /**
+   * Throw unless every user ID is an accepted friend of the given user
+   * Reads through the transaction when one is given
+   */
+  async function assertAllFriends(userId, friendIds, transaction = null) {
+    const friendRefs = friendIds.map(id =>
+      db.collection('userFriendships').doc(userId).collection('friends').doc(id)
+    );
+
+    const friendDocs = transaction
+      ? await Promise.all(friendRefs.map(ref => transaction.get(ref)))
+      : await db.getAll(...friendRefs);
+
+    const notFriends = friendIds.filter((id, index) =>
+      !friendDocs[index].exists || friendDocs[index].data().status !== 'accepted'
+    );
+
+    if (notFriends.length > 0) {
+      throw new HttpsError('failed-precondition', `You can only add friends to a group. Not a friend: ${notFriends.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether any of userIds has a block, in either direction, with any of otherUserIds
+   * Reads inside the transaction so a block can't slip in before the commit
+   */
+  async function hasBlockBetween(transaction, userIds, otherUserIds) {
+    const friendshipIds = new Set();
+    userIds.forEach(userId => otherUserIds.forEach(otherId => {
+      if (userId !== otherId) {
+        friendshipIds.add([userId, otherId].sort().join('_'));
+      }
+    }));
+
+    if (friendshipIds.size === 0) return false;
+
+    const friendshipDocs = await transaction.getAll(
+      ...[...friendshipIds].map(id => db.collection('friendships').doc(id))
+    );
+    return friendshipDocs.some(doc => doc.exists && doc.data().status === 'blocked');
+  }
+
+  /**
+   * Find the member who has been in a group the longest, excluding some users
+   * Returns the member's user ID or null if nobody else is left
+   */
+  async function findLongestTenuredMember(groupId, excludeUserIds, transaction = null) {
+    const query = db.collection('groups').doc(groupId).collection('members')
+      .orderBy('joinedAt', 'asc')
+      .limit(excludeUserIds.length + 1);
+
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    const candidate = snapshot.docs.find(doc => !excludeUserIds.includes(doc.id));
+
+    return candidate ? candidate.id : null;
+  }
+
+  /**
+   * Remove members from a group and its chat inside a transaction
+   */
+  function writeMemberRemoval(transaction, groupData, userIds) {
+    const groupRef = db.collection('groups').doc(groupData.id);
+
+    transaction.update(groupRef, {
+      memberIds: admin.firestore.FieldValue.arrayRemove(...userIds),
+      memberCount: admin.firestore.FieldValue.increment(-userIds.length),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    userIds.forEach(userId => transaction.delete(memberRef(groupData.id, userId)));
+
+    transaction.update(db.collection('chats').doc(groupData.chatId), {
+      participants: admin.firestore.FieldValue.arrayRemove(...userIds),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Release per-user chat state that shouldn't outlive membership: unread counts and saves
+   * Runs after the removal commits, so failures are logged rather than thrown
+   */
+  async function releaseRemovedMembersChatState(chatId, userIds) {
+    if (!chatFunctions || userIds.length === 0) return;
+
+    await chatFunctions.clearUnreadCounts(chatId, userIds);
+
+    try {
+      await chatFunctions.releaseSavedMessages(chatId, userIds);
+    } catch (error) {
+      console.error(`⚠️ Failed to release saves in chat ${chatId} for ${userIds.join(', ')}:`, error);
+    }
+  }
+
+  /**
+   * Hand group ownership to another member inside a transaction
+   * Pass demotePreviousOwner: false when the previous owner is being removed anyway
+   */
+  function writeOwnershipTransfer(transaction, groupData, newOwnerId, { demotePreviousOwner = true } = {}) {
+    transaction.update(db.collection('groups').doc(groupData.id), {
+      ownerId: newOwnerId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(memberRef(groupData.id, newOwnerId), { role: 'owner' });
+
+    if (demotePreviousOwner) {
+      transaction.update(memberRef(groupData.id, groupData.ownerId), { role: 'member' });
+    }
+  }
+
+  /**
+   * Tell a member they now own a group (best effort - never fails the caller)
+   */
+  async function notifyNewOwner(groupData, newOwnerId) {
+    try {
+      const userDoc = await db.collection('users').doc(newOwnerId).get();
+      const fcmToken = userDoc.exists ? userDoc.data().fcmToken : null;
+      if (!fcmToken) return;
+
+      await admin.messaging().send({
+        token: fcmToken,
+        notification: {
+          title: 'You are now a group owner',
+          body: `You now own "${groupData.name}"`
+        },
+        data: {
+          groupId: groupData.id,
+          chatId: groupData.chatId,
+          type: 'groupOwnershipTransferred'
+        }
+      });
+      console.log(`🔔 Ownership notification sent to ${newOwnerId}`);
+    } catch (error) {
+      console.error(`⚠️ Failed to notify new owner ${newOwnerId}:`, error);
+    }
+  }
+
+  /**
+   * Delete a group with nobody left in it, along with its invite codes, members,
+   * chat messages (and their Storage files) and any group-level Storage files
+   */
+  async function deleteGroupCascade(groupId) {
+    const groupRef = db.collection('groups').doc(groupId);
+    const groupDoc = await groupRef.get();
+    const chatId = groupDoc.exists ? groupDoc.data().chatId || groupId : groupId;
+    const chatDoc = await db.collection('chats').doc(chatId).get();
+    const results = { inviteCodesDeleted: 0, messagesDeleted: 0, storageFilesDeleted: 0 };
+
+    // 1. Invite codes
+    const codesSnapshot = await db.collection('groupInviteCodes')
+      .where('groupId', '==', groupId)
+      .get();
+
+    for (let i = 0; i < codesSnapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      codesSnapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    results.inviteCodesDeleted = codesSnapshot.size;
+
+    // 2. Chat messages and their video files
+    if (friendFunctions) {
+      const purged = await friendFunctions.purgeChatMessages(chatId);
+      results.messagesDeleted = purged.deletedCount;
+      results.storageFilesDeleted = purged.deletedFiles;
+    }
+
+    // 3. Group-level files (e.g. group avatar)
+    try {
+      await admin.storage().bucket().deleteFiles({ prefix: `groups/${groupId}/` });
+    } catch (error) {
+      console.log(`⚠️ Group storage deletion error for ${groupId}: ${error.message}`);
+    }
+
+    // 4. Unread counts for anyone still attached to the chat
+    if (chatFunctions) {
+      const userIds = [...new Set([
+        ...(groupDoc.exists ? groupDoc.data().memberIds || [] : []),
+        ...(chatDoc.exists ? chatDoc.data().participants || [] : [])
+      ])];
+      await chatFunctions.clearUnreadCounts(chatId, userIds);
+    }
+
+    // 5. Members, chat and group documents
+    const membersSnapshot = await groupRef.collection('members').get();
+    const batch = db.batch();
+    membersSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    batch.delete(db.collection('chats').doc(chatId));
+    batch.delete(groupRef);
+    await batch.commit();
+
+    console.log(`🗑️ Deleted group ${groupId}: ${JSON.stringify(results)}`);
+    return results;
+  }
+
+  /**
+   * Remove deleted accounts from a group
+   *
+   * If the owner is among them, ownership passes to the longest-tenured remaining
+   * member (who is notified). If nobody remains, the group is cascade-deleted.
+   * Returns { action: 'none' | 'membersRemoved' | 'transferred' | 'deleted', newOwnerId }
+   */
+  async function removeDeletedMembers(groupId, deletedUserIds, { dryRun = false } = {}) {
+    const groupRef = db.collection('groups').doc(groupId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      // Read all documents before any writes
+      const groupDoc = await transaction.get(groupRef);
+      if (!groupDoc.exists) {
+        return { action: 'none' };
+      }
+
+      const groupData = groupDoc.data();
+      const memberIds = groupData.memberIds || [];
+      const toRemove = memberIds.filter(id => deletedUserIds.includes(id));
+      const remaining = memberIds.filter(id => !deletedUserIds.includes(id));
+      const ownerDeleted = deletedUserIds.includes(groupData.ownerId);
+
+      if (remaining.length === 0) {
+        return { action: 'deleted', groupData };
+      }
+
+      if (toRemove.length === 0 && !ownerDeleted) {
+        return { action: 'none' };
+      }
+
+      const newOwnerId = ownerDeleted
+        ? await findLongestTenuredMember(groupId, deletedUserIds, transaction) || remaining[0]
+        : null;
+
+      if (!dryRun) {
+        if (newOwnerId) {
+          writeOwnershipTransfer(transaction, groupData, newOwnerId, { demotePreviousOwner: false });
+        }
+        if (toRemove.length > 0) {
+          writeMemberRemoval(transaction, groupData, toRemove);
+        }
+      }
+
+      return {
+        action: newOwnerId ? 'transferred' : 'membersRemoved',
+        newOwnerId,
+        groupData,
+        toRemove
+      };
+    });
+
+    if (!dryRun) {
+      if (result.toRemove) {
+        await releaseRemovedMembersChatState(result.groupData.chatId, result.toRemove);
+      }
+
+      if (result.action === 'deleted') {
+        await deleteGroupCascade(groupId);
+      } else if (result.action === 'transferred') {
+        console.log(`👑 Group ${groupId} ownership transferred to ${result.newOwnerId}`);
+        await notifyNewOwner(result.groupData, result.newOwnerId);
+      }
+    }
+
+    return { action: result.action, newOwnerId: result.newOwnerId || null };
+  }
+
+  /**
+   * Remove a deleted account from every group it belongs to (used by deleteUserData)
+   */
+  async function removeUserFromAllGroups(uid) {
+    const results = { groupsTransferred: 0, groupsDeleted: 0, groupsLeft: 0, errors: [] };
+
+    const groupsSnapshot = await db.collection('groups')
+      .where('memberIds', 'array-contains', uid)
+      .get();
+
+    for (const groupDoc of groupsSnapshot.docs) {
+      try {
+        const { action } = await removeDeletedMembers(groupDoc.id, [uid]);
+        if (action === 'transferred') results.groupsTransferred++;
+        else if (action === 'deleted') results.groupsDeleted++;
+        else if (action === 'membersRemoved') results.groupsLeft++;
+      } catch (error) {
+        console.error(`❌ Failed to remove ${uid} from group ${groupDoc.id}:`, error);
+        results.errors.push(`Group ${groupDoc.id}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  // Weekly safety net for groups whose owner or members deleted their accounts
+  // without going through deleteUserData's group handling
+  async function performOrphanedGroupCleanup(options = {}) {
+    const {
+      batchSize = 100,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting orphaned group cleanup (triggered by: ${triggeredBy}, dryRun: ${dryRun})...`);
+
+    let groupsScanned = 0;
+    let groupsTransferred = 0;
+    let groupsDeleted = 0;
+    let groupsUpdated = 0;
+    let totalErrors = 0;
+    const startTime = Date.now();
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        let query = db.collection('groups')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(batchSize);
+
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+
+        if (snapshot.empty) {
+          hasMore = false;
+          break;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        groupsScanned += snapshot.size;
+
+        for (const groupDoc of snapshot.docs) {
+          try {
+            const groupData = groupDoc.data();
+            const userIds = [...new Set([groupData.ownerId, ...(groupData.memberIds || [])])].filter(Boolean);
+
+            const deletedDocs = userIds.length > 0
+              ? await db.getAll(...userIds.map(id => db.collection('deletedUsers').doc(id)))
+              : [];
+            const deletedIds = deletedDocs.filter(doc => doc.exists).map(doc => doc.id);
+
+            if (deletedIds.length === 0 && (groupData.memberIds || []).length > 0) {
+              continue;
+            }
+
+            const { action } = await removeDeletedMembers(groupDoc.id, deletedIds, { dryRun });
+            if (action === 'transferred') groupsTransferred++;
+            else if (action === 'deleted') groupsDeleted++;
+            else if (action === 'membersRemoved') groupsUpdated++;
+          } catch (error) {
+            console.error(`❌ Failed to check group ${groupDoc.id}:`, error);
+            totalErrors++;
+          }
+        }
+
+        if (snapshot.size < batchSize) {
+          hasMore = false;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      const results = {
+        success: true,
+        groupsScanned: groupsScanned,
+        groupsTransferred: groupsTransferred,
+        groupsDeleted: groupsDeleted,
+        groupsUpdated: groupsUpdated,
+        errors: totalErrors,
+        duration: duration,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Log results (unless dry run)
+      if (!dryRun) {
+        await db.collection('systemLogs')
+          .doc('orphanedGroupCleanup')
+          .collection('runs')
+          .add(results);
+      }
+
+      console.log(`🎉 Orphaned group cleanup complete!`);
+      console.log(`📊 Results: ${groupsTransferred} transferred, ${groupsDeleted} deleted, ${groupsUpdated} updated ${dryRun ? '(dry run)' : ''}, ${totalErrors} errors`);
+      console.log(`⏱️ Duration: ${duration}ms`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ Orphaned group cleanup failed:', error);
+
+      await db.collection('systemLogs')
+        .doc('orphanedGroupCleanup')
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
+  // Delete expired group invite codes
+  async function performInviteCodeCleanup(options = {}) {
+    const {
+      batchSize = 500,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting invite code cleanup (triggered by: ${triggeredBy}, dryRun: ${dryRun})...`);
+
+    const now = admin.firestore.Timestamp.now();
+    let totalDeleted = 0;
+    let totalErrors = 0;
+    const startTime = Date.now();
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+      let batchCount = 0;
+
+      while (hasMore) {
+        let query = db.collection('groupInviteCodes')
+          .where('expiresAt', '<=', now)
+          .orderBy('expiresAt')
+          .limit(batchSize);
+
+        // Page with a cursor so dry runs (which don't delete) still make progress
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+
+        if (snapshot.empty) {
+          hasMore = false;
+          break;
+        }
+
+        batchCount++;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log(`📦 Processing batch ${batchCount} of ${snapshot.size} expired invite codes...`);
+
+        if (dryRun) {
+          totalDeleted += snapshot.size;
+        } else {
+          const batch = db.batch();
+          snapshot.docs.forEach(doc => batch.delete(doc.ref));
+
+          try {
+            await batch.commit();
+            totalDeleted += snapshot.size;
+          } catch (error) {
+            console.error(`❌ Failed to commit invite code batch ${batchCount}:`, error);
+            totalErrors += snapshot.size;
+          }
+        }
+
+        if (snapshot.size < batchSize) {
+          hasMore = false;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      const results = {
+        success: true,
+        codesDeleted: totalDeleted,
+        errors: totalErrors,
+        duration: duration,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Log results (unless dry run)
+      if (!dryRun) {
+        await db.collection('systemLogs')
+          .doc('inviteCodeCleanup')
+          .collection('runs')
+          .add(results);
+      }
+
+      console.log(`🎉 Invite code cleanup complete!`);
+      console.log(`📊 Results: ${totalDeleted} codes ${dryRun ? 'would be' : ''} deleted, ${totalErrors} errors`);
+      console.log(`⏱️ Duration: ${duration}ms`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ Invite code cleanup failed:', error);
+
+      await db.collection('systemLogs')
+        .doc('inviteCodeCleanup')
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
+  return {
+    // Exported for use by other modules (e.g., account.js)
+    removeUserFromAllGroups,
+
+    /**
+     * createGroup - Create a group chat with the caller as owner
+     *
+     * Everyone added must be an accepted friend of the caller. The group and its
+     * chat share an ID; the chat's participants mirror the group's members.
+     */
+    createGroup: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const ownerId = request.auth.uid;
+      const { name, memberIds = [] } = request.data || {};
+
+      const groupName = validateGroupName(name);
+      const initialMembers = validateUserIds(memberIds, { allowEmpty: true })
+        .filter(id => id !== ownerId);
+
+      if (initialMembers.length + 1 > MAX_GROUP_MEMBERS) {
+        throw new HttpsError('invalid-argument', `Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+      }
+
+      try {
+        const groupRef = db.collection('groups').doc();
+        const groupId = groupRef.id;
+        const allMembers = [ownerId, ...initialMembers];
+
+        await db.runTransaction(async (transaction) => {
+          // Read all documents before any writes
+          if (initialMembers.length > 0) {
+            await assertAllFriends(ownerId, initialMembers, transaction);
+
+            // Same check as addGroupMembers - nobody starts out in a group with someone they've blocked or been blocked by
+            if (await hasBlockBetween(transaction, initialMembers, allMembers)) {
+              throw new HttpsError('failed-precondition', 'One or more of these users cannot be added to this group');
+            }
+          }
+
+          const now = admin.firestore.FieldValue.serverTimestamp();
+
+          transaction.set(groupRef, {
+            id: groupId,
+            name: groupName,
+            creatorId: ownerId,
+            ownerId: ownerId,
+            chatId: groupId,
+            memberIds: allMembers,
+            memberCount: allMembers.length,
+            createdAt: now,
+            updatedAt: now
+          });
+
+          allMembers.forEach(userId => {
+            transaction.set(memberRef(groupId, userId), {
+              userId: userId,
+              role: userId === ownerId ? 'owner' : 'member',
+              addedBy: ownerId,
+              joinedAt: now
+            });
+          });
+
+          transaction.set(db.collection('chats').doc(groupId), {
+            id: groupId,
+            groupId: groupId,
+            isGroup: true,
+            name: groupName,
+            participants: allMembers,
+            createdAt: now,
+            lastMessageAt: now,
+            expirationDays: null // Use the default expiration
+          });
+        });
+
+        console.log(`👥 User ${ownerId} created group ${groupId} with ${allMembers.length} members`);
+        return { success: true, groupId, chatId: groupId, memberCount: allMembers.length };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error creating group:', error);
+        throw new HttpsError('internal', 'Failed to create group');
+      }
+    }),
+
+    /**
+     * addGroupMembers - Add the caller's friends to a group they belong to
+     */
+    addGroupMembers: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { groupId, userIds } = request.data || {};
+
+      if (!groupId) {
+        throw new HttpsError('invalid-argument', 'groupId is required');
+      }
+
+      const requestedIds = validateUserIds(userIds);
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          // Read all documents before any writes
+          const groupData = await getGroupForMember(transaction, groupId, userId);
+          const newMembers = requestedIds.filter(id => !groupData.memberIds.includes(id));
+
+          if (newMembers.length === 0) {
+            return { success: true, addedCount: 0 };
+          }
+
+          if (groupData.memberIds.length + newMembers.length > MAX_GROUP_MEMBERS) {
+            throw new HttpsError('resource-exhausted', `Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+          }
+
+          await assertAllFriends(userId, newMembers, transaction);
+
+          // Same protection as invite codes - nobody joins a group with someone they've blocked or been blocked by
+          if (await hasBlockBetween(transaction, newMembers, [...groupData.memberIds, ...newMembers])) {
+            throw new HttpsError('failed-precondition', 'One or more of these users cannot be added to this group');
+          }
+
+          const now = admin.firestore.FieldValue.serverTimestamp();
+
+          transaction.update(db.collection('groups').doc(groupId), {
+            memberIds: admin.firestore.FieldValue.arrayUnion(...newMembers),
+            memberCount: admin.firestore.FieldValue.increment(newMembers.length),
+            updatedAt: now
+          });
+
+          newMembers.forEach(newMemberId => {
+            transaction.set(memberRef(groupId, newMemberId), {
+              userId: newMemberId,
+              role: 'member',
+              addedBy: userId,
+              joinedAt: now
+            });
+          });
+
+          transaction.update(db.collection('chats').doc(groupData.chatId), {
+            participants: admin.firestore.FieldValue.arrayUnion(...newMembers),
+            updatedAt: now
+          });
+
+          console.log(`👥 User ${userId} added ${newMembers.length} members to group ${groupId}`);
+          return { success: true, addedCount: newMembers.length };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error adding group members:', error);
+        throw new HttpsError('internal', 'Failed to add group members');
+      }
+    }),
+
+    /**
+     * removeGroupMember - Owner-only: remove another member from the group
+     */
+    removeGroupMember: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { groupId, userId: memberId } = request.data || {};
+
+      if (!groupId || !memberId) {
+        throw new HttpsError('invalid-argument', 'groupId and userId are required');
+      }
+
+      if (memberId === userId) {
+        throw new HttpsError('invalid-argument', 'Use leaveGroup to leave a group');
+      }
+
+      try {
+        const chatId = await db.runTransaction(async (transaction) => {
+          const groupData = await getGroupForMember(transaction, groupId, userId);
+
+          if (groupData.ownerId !== userId) {
+            throw new HttpsError('permission-denied', 'Only the group owner can remove members');
+          }
+
+          if (!groupData.memberIds.includes(memberId)) {
+            throw new HttpsError('not-found', 'User is not a member of this group');
+          }
+
+          writeMemberRemoval(transaction, groupData, [memberId]);
+          return groupData.chatId;
+        });
+
+        // The removed member can no longer open the chat
+        await releaseRemovedMembersChatState(chatId, [memberId]);
+
+        console.log(`👥 Owner ${userId} removed ${memberId} from group ${groupId}`);
+        return { success: true };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error removing group member:', error);
+        throw new HttpsError('internal', 'Failed to remove group member');
+      }
+    }),
+
+    /**
+     * leaveGroup - Leave a group
+     *
+     * An owner who leaves hands the group to the longest-tenured remaining member.
+     * The last member leaving deletes the group with its chat, invite codes and files.
+     */
+    leaveGroup: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { groupId } = request.data || {};
+
+      if (!groupId) {
+        throw new HttpsError('invalid-argument', 'groupId is required');
+      }
+
+      try {
+        const result = await db.runTransaction(async (transaction) => {
+          // Read all documents before any writes
+          const groupData = await getGroupForMember(transaction, groupId, userId);
+          const remaining = groupData.memberIds.filter(id => id !== userId);
+          const isOwner = groupData.ownerId === userId;
+          const newOwnerId = isOwner && remaining.length > 0
+            ? await findLongestTenuredMember(groupId, [userId], transaction) || remaining[0]
+            : null;
+
+          if (newOwnerId) {
+            writeOwnershipTransfer(transaction, groupData, newOwnerId, { demotePreviousOwner: false });
+          }
+
+          writeMemberRemoval(transaction, groupData, [userId]);
+
+          return { groupDeleted: remaining.length === 0, newOwnerId, chatId: groupData.chatId };
+        });
+
+        await releaseRemovedMembersChatState(result.chatId, [userId]);
+
+        // The last member out takes the invite codes, messages and storage with them
+        // (outside the transaction - a chat can have more messages than one transaction allows)
+        if (result.groupDeleted) {
+          await deleteGroupCascade(groupId);
+          console.log(`👥 Last member ${userId} left group ${groupId} - group deleted`);
+          return { success: true, groupDeleted: true };
+        }
+
+        console.log(`👥 User ${userId} left group ${groupId}${result.newOwnerId ? ` - ownership passed to ${result.newOwnerId}` : ''}`);
+        return { success: true, groupDeleted: false, newOwnerId: result.newOwnerId };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error leaving group:', error);
+        throw new HttpsError('internal', 'Failed to leave group');
+      }
+    }),
+
+    /**
+     * transferGroupOwnership - Owner-only: make another member the owner
+     */
+    transferGroupOwnership: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { groupId, newOwnerId } = request.data || {};
+
+      if (!groupId || !newOwnerId) {
+        throw new HttpsError('invalid-argument', 'groupId and newOwnerId are required');
+      }
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          const groupData = await getGroupForMember(transaction, groupId, userId);
+
+          if (groupData.ownerId !== userId) {
+            throw new HttpsError('permission-denied', 'Only the group owner can transfer ownership');
+          }
+
+          if (newOwnerId === userId) {
+            return { success: true, ownerId: userId };
+          }
+
+          if (!groupData.memberIds.includes(newOwnerId)) {
+            throw new HttpsError('not-found', 'New owner must be a member of this group');
+          }
+
+          writeOwnershipTransfer(transaction, groupData, newOwnerId);
+
+          console.log(`👥 Group ${groupId} ownership transferred from ${userId} to ${newOwnerId}`);
+          return { success: true, ownerId: newOwnerId };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error transferring group ownership:', error);
+        throw new HttpsError('internal', 'Failed to transfer group ownership');
+      }
+    }),
+
+    /**
+     * renameGroup - Owner-only: rename a group (and its chat)
+     */
+    renameGroup: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const { groupId, name } = request.data || {};
+
+      if (!groupId) {
+        throw new HttpsError('invalid-argument', 'groupId is required');
+      }
+
+      const groupName = validateGroupName(name);
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          const groupData = await getGroupForMember(transaction, groupId, userId);
+
+          if (groupData.ownerId !== userId) {
+            throw new HttpsError('permission-denied', 'Only the group owner can rename the group');
+          }
+
+          const now = admin.firestore.FieldValue.serverTimestamp();
+
+          transaction.update(db.collection('groups').doc(groupId), {
+            name: groupName,
+            updatedAt: now
+          });
+
+          transaction.update(db.collection('chats').doc(groupData.chatId), {
+            name: groupName,
+            updatedAt: now
+          });
+
+          console.log(`👥 Group ${groupId} renamed by ${userId}`);
+          return { success: true, name: groupName };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error renaming group:', error);
+        throw new HttpsError('internal', 'Failed to rename group');
+      }
+    }),
+
+    /**
+     * createGroupInviteCode - Create a shareable code that lets people join a group
+     *
+     * Any member can create a code; it expires after expiresInHours and stops
+     * working after maxUses redemptions.
+     */
+    createGroupInviteCode: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const {
+        groupId,
+        expiresInHours = DEFAULT_INVITE_CODE_EXPIRY_HOURS,
+        maxUses = DEFAULT_INVITE_CODE_MAX_USES
+      } = request.data || {};
+
+      if (!groupId) {
+        throw new HttpsError('invalid-argument', 'groupId is required');
+      }
+
+      if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_INVITE_CODE_EXPIRY_HOURS) {
+        throw new HttpsError('invalid-argument', `expiresInHours must be between 0 and ${MAX_INVITE_CODE_EXPIRY_HOURS}`);
+      }
+
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_GROUP_MEMBERS) {
+        throw new HttpsError('invalid-argument', `maxUses must be between 1 and ${MAX_GROUP_MEMBERS}`);
+      }
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          await getGroupForMember(transaction, groupId, userId);
+
+          // Codes are short, so retry on the rare collision
+          let code;
+          let codeRef;
+          for (let attempt = 0; attempt < 5; attempt++) {
+            code = generateInviteCode();
+            codeRef = db.collection('groupInviteCodes').doc(code);
+            const existing = await transaction.get(codeRef);
+            if (!existing.exists) break;
+            codeRef = null;
+          }
+
+          if (!codeRef) {
+            throw new HttpsError('aborted', 'Could not generate a unique code. Please try again.');
+          }
+
+          const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+          transaction.set(codeRef, {
+            code: code,
+            groupId: groupId,
+            createdBy: userId,
+            maxUses: maxUses,
+            useCount: 0,
+            revoked: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: expiresAt
+          });
+
+          console.log(`🎟️ User ${userId} created invite code for group ${groupId}`);
+          return {
+            success: true,
+            code: code,
+            groupId: groupId,
+            maxUses: maxUses,
+            expiresAt: expiresAt.toDate().toISOString()
+          };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error creating group invite code:', error);
+        throw new HttpsError('internal', 'Failed to create invite code');
+      }
+    }),
+
+    /**
+     * redeemGroupInviteCode - Join a group with an invite code
+     *
+     * Rate-limited so codes can't be guessed. Anyone in a block with a current
+     * member gets the same not-found response as an invalid code.
+     */
+    redeemGroupInviteCode: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const code = normalizeInviteCode((request.data || {}).code);
+
+      try {
+        // Count every attempt, including invalid codes
+        if (rateLimiter) {
+          await rateLimiter.enforceRateLimit(userId, 'groupInviteRedeem');
+        }
+
+        if (!INVITE_CODE_PATTERN.test(code)) {
+          throw new HttpsError('not-found', 'Invite code not found');
+        }
+
+        return await db.runTransaction(async (transaction) => {
+          // Read all documents before any writes
+          const codeRef = db.collection('groupInviteCodes').doc(code);
+          const codeDoc = await transaction.get(codeRef);
+
+          if (!codeDoc.exists || codeDoc.data().revoked) {
+            throw new HttpsError('not-found', 'Invite code not found');
+          }
+
+          const codeData = codeDoc.data();
+
+          if (codeData.expiresAt.toMillis() <= Date.now()) {
+            throw new HttpsError('deadline-exceeded', 'This invite code has expired');
+          }
+
+          if (codeData.useCount >= codeData.maxUses) {
+            throw new HttpsError('resource-exhausted', 'This invite code has reached its use limit');
+          }
+
+          const groupRef = db.collection('groups').doc(codeData.groupId);
+          const groupDoc = await transaction.get(groupRef);
+
+          if (!groupDoc.exists) {
+            throw new HttpsError('not-found', 'Invite code not found');
+          }
+
+          const groupData = groupDoc.data();
+
+          if (groupData.memberIds.includes(userId)) {
+            return { success: true, groupId: groupData.id, alreadyMember: true };
+          }
+
+          if (groupData.memberIds.length >= MAX_GROUP_MEMBERS) {
+            throw new HttpsError('resource-exhausted', 'This group is full');
+          }
+
+          // A block in either direction with any member keeps the redeemer out
+          if (await hasBlockBetween(transaction, [userId], groupData.memberIds)) {
+            console.log(`🚫 User ${userId} blocked from joining group ${groupData.id} via code`);
+            throw new HttpsError('not-found', 'Invite code not found');
+          }
+
+          const now = admin.firestore.FieldValue.serverTimestamp();
+
+          transaction.update(groupRef, {
+            memberIds: admin.firestore.FieldValue.arrayUnion(userId),
+            memberCount: admin.firestore.FieldValue.increment(1),
+            updatedAt: now
+          });
+
+          transaction.set(memberRef(groupData.id, userId), {
+            userId: userId,
+            role: 'member',
+            addedBy: codeData.createdBy,
+            inviteCode: code,
+            joinedAt: now
+          });
+
+          transaction.update(db.collection('chats').doc(groupData.chatId), {
+            participants: admin.firestore.FieldValue.arrayUnion(userId),
+            updatedAt: now
+          });
+
+          transaction.update(codeRef, {
+            useCount: admin.firestore.FieldValue.increment(1),
+            lastRedeemedAt: now
+          });
+
+          console.log(`🎟️ User ${userId} joined group ${groupData.id} with an invite code`);
+          return {
+            success: true,
+            groupId: groupData.id,
+            chatId: groupData.chatId,
+            groupName: groupData.name,
+            alreadyMember: false
+          };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error redeeming group invite code:', error);
+        throw new HttpsError('internal', 'Failed to redeem invite code');
+      }
+    }),
+
+    /**
+     * revokeGroupInviteCode - Stop a code from working (its creator or the group owner)
+     */
+    revokeGroupInviteCode: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const userId = request.auth.uid;
+      const code = normalizeInviteCode((request.data || {}).code);
+
+      if (!INVITE_CODE_PATTERN.test(code)) {
+        throw new HttpsError('invalid-argument', 'A valid invite code is required');
+      }
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          const codeRef = db.collection('groupInviteCodes').doc(code);
+          const codeDoc = await transaction.get(codeRef);
+
+          if (!codeDoc.exists) {
+            throw new HttpsError('not-found', 'Invite code not found');
+          }
+
+          const codeData = codeDoc.data();
+          const groupDoc = await transaction.get(db.collection('groups').doc(codeData.groupId));
+          const isOwner = groupDoc.exists && groupDoc.data().ownerId === userId;
+
+          if (codeData.createdBy !== userId && !isOwner) {
+            throw new HttpsError('permission-denied', 'Only the code creator or group owner can revoke this code');
+          }
+
+          if (codeData.revoked) {
+            return { success: true, alreadyRevoked: true };
+          }
+
+          transaction.update(codeRef, {
+            revoked: true,
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            revokedBy: userId
+          });
+
+          console.log(`🎟️ Invite code for group ${codeData.groupId} revoked by ${userId}`);
+          return { success: true, alreadyRevoked: false };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error revoking group invite code:', error);
+        throw new HttpsError('internal', 'Failed to revoke invite code');
+      }
+    }),
+
+    // Scheduled function - deletes expired invite codes daily at 5 AM
+    cleanupExpiredInviteCodes: onSchedule({
+      schedule: '0 5 * * *',
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performInviteCodeCleanup({
+        triggeredBy: 'scheduled'
+      });
+    }),
+
+    // Manual trigger for admins to delete expired invite codes
+    manualInviteCodeCleanup: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { dryRun = true, batchSize = 500 } = request.data || {};
+
+      console.log(`🔧 Manual invite code cleanup triggered by ${request.auth.uid}`);
+
+      try {
+        return await performInviteCodeCleanup({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          batchSize: batchSize
+        });
+      } catch (error) {
+        console.error('Manual invite code cleanup error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    // Scheduled function - resolves groups left behind by deleted accounts every Sunday at 2 AM
+    cleanupOrphanedGroups: onSchedule({
+      schedule: '0 2 * * 0',
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performOrphanedGroupCleanup({
+        triggeredBy: 'scheduled'
+      });
+    }),
+
+    // Manual trigger for admins to resolve orphaned groups
+    manualOrphanedGroupCleanup: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { dryRun = true, batchSize = 100 } = request.data || {};
+
+      console.log(`🔧 Manual orphaned group cleanup triggered by ${request.auth.uid}`);
+
+      try {
+        return await performOrphanedGroupCleanup({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          batchSize: batchSize
+        });
+      } catch (error) {
+        console.error('Manual orphaned group cleanup error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    })
+  };
+};
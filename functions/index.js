@@ -16,30 +16,78 @@ const db = admin.firestore();
 const firebaseHelper = { admin, db };
 
 // Import function modules with the helper
-// Account functions initialized first as other modules may depend on them
-const accountFunctions = require('./account.js')(firebaseHelper);
-const friendFunctions = require('./friends.js')(firebaseHelper);
-const notificationFunctions = require('./notifications.js')(firebaseHelper);
+// Rate limiter, username, signup and chat functions initialized first as other modules depend on them
+const rateLimiter = require('./rateLimiter.js')(firebaseHelper);
+const usernameFunctions = require('./usernames.js')(firebaseHelper, rateLimiter);
+const signupFunctions = require('./signup.js')(firebaseHelper);
+const chatFunctions = require('./chats.js')(firebaseHelper);
+// Pass signupFunctions to friends so invite tokens are signed and verified the same way as signup tokens,
+// and chatFunctions so blocks and unfriends clear unread counts
+const friendFunctions = require('./friends.js')(firebaseHelper, usernameFunctions, rateLimiter, signupFunctions, chatFunctions);
+// Pass friendFunctions to groups so deleted groups purge their chat the same way blocks do
+const groupFunctions = require('./groups.js')(firebaseHelper, rateLimiter, friendFunctions, chatFunctions);
+// Pass signupFunctions to contacts so hashes use the same email normalization
+const contactFunctions = require('./contacts.js')(firebaseHelper, signupFunctions, rateLimiter);
+// Account functions initialized next as other modules may depend on them
+const accountFunctions = require('./account.js')(firebaseHelper, usernameFunctions, groupFunctions, contactFunctions, chatFunctions);
+// Pass chatFunctions to notifications so pushes carry the real unread badge
+const notificationFunctions = require('./notifications.js')(firebaseHelper, chatFunctions);
 const videoFunctions = require('./videos.js')(firebaseHelper);
 const verificationFunctions = require('./verification.js')(firebaseHelper);
-const signupFunctions = require('./signup.js')(firebaseHelper);
 // Pass accountFunctions to inactive so it can use deleteUserData
 const inactiveFunctions = require('./inactive.js')(firebaseHelper, accountFunctions);
+// Pass friend, video and rate limiter functions to moderation for blocking, content removal and throttling
+const moderationFunctions = require('./moderation.js')(firebaseHelper, friendFunctions, videoFunctions, rateLimiter);
 const loggingFunctions = require('./logging.js')(firebaseHelper);
 
 
 
 // Export all functions
 exports.sendFriendRequest = friendFunctions.sendFriendRequest;
+exports.createFriendInvite = friendFunctions.createFriendInvite;
+exports.redeemFriendInvite = friendFunctions.redeemFriendInvite;
+exports.listFriendInvites = friendFunctions.listFriendInvites;
+exports.revokeFriendInvite = friendFunctions.revokeFriendInvite;
 exports.acceptFriendRequest = friendFunctions.acceptFriendRequest;
+exports.restoreArchivedChatVideos = friendFunctions.restoreArchivedChatVideos;
 exports.rejectFriendRequest = friendFunctions.rejectFriendRequest;
+exports.cancelFriendRequest = friendFunctions.cancelFriendRequest;
+exports.listFriendRequests = friendFunctions.listFriendRequests;
+exports.getFriendshipHistory = friendFunctions.getFriendshipHistory;
+exports.getMyFriendActivity = friendFunctions.getMyFriendActivity;
+exports.muteFriend = friendFunctions.muteFriend;
+exports.unmuteFriend = friendFunctions.unmuteFriend;
+exports.setFavoriteFriends = friendFunctions.setFavoriteFriends;
 exports.unfriend = friendFunctions.unfriend;
 exports.blockUser = friendFunctions.blockUser;
 exports.checkFriendshipStatus = friendFunctions.checkFriendshipStatus;
 exports.repairFriendshipState = friendFunctions.repairFriendshipState;
+exports.sweepFriendshipConsistency = friendFunctions.sweepFriendshipConsistency;
+exports.manualFriendshipConsistencySweep = friendFunctions.manualFriendshipConsistencySweep;
+exports.expireFriendMutes = friendFunctions.expireFriendMutes;
+exports.manualExpireFriendMutes = friendFunctions.manualExpireFriendMutes;
 exports.unblockUser = friendFunctions.unblockUser;
+exports.unblockUsers = friendFunctions.unblockUsers;
+exports.listBlockedUsers = friendFunctions.listBlockedUsers;
 exports.archiveVideosForChat = friendFunctions.archiveVideosForChat;
+exports.getFriendSuggestions = friendFunctions.getFriendSuggestions;
+exports.dismissFriendSuggestion = friendFunctions.dismissFriendSuggestion;
+exports.expireStalePendingRequests = friendFunctions.expireStalePendingRequests;
+exports.manualExpirePendingRequests = friendFunctions.manualExpirePendingRequests;
+
 
+exports.getRateLimitConfig = rateLimiter.getRateLimitConfig;
+exports.updateRateLimitConfig = rateLimiter.updateRateLimitConfig;
+
+exports.claimHandle = usernameFunctions.claimHandle;
+exports.lookupHandle = usernameFunctions.lookupHandle;
+
+exports.stampMessageExpiration = chatFunctions.stampMessageExpiration;
+exports.setChatExpiration = chatFunctions.setChatExpiration;
+exports.maintainChatPreview = chatFunctions.maintainChatPreview;
+exports.releaseUnreadOnMessageRemoval = chatFunctions.releaseUnreadOnMessageRemoval;
+exports.countUnreadMessage = chatFunctions.countUnreadMessage;
+exports.markChatRead = chatFunctions.markChatRead;
 
 exports.sendChatMessageNotification = notificationFunctions.sendChatMessageNotification;
 exports.sendFriendRequestNotification = notificationFunctions.sendFriendRequestNotification;
@@ -51,10 +99,14 @@ exports.scheduleAccountDeletion = accountFunctions.scheduleAccountDeletion;
 
 exports.cleanupExpiredVideos = videoFunctions.cleanupExpiredVideos;
 exports.cleanupExpiredArchivedVideos = videoFunctions.cleanupExpiredArchivedVideos;
+exports.purgeUnviewedViewOnceVideos = videoFunctions.purgeUnviewedViewOnceVideos;
 exports.manualVideoCleanup = videoFunctions.manualVideoCleanup;
 exports.manualArchivedVideoCleanup = videoFunctions.manualArchivedVideoCleanup;
+exports.manualViewOncePurge = videoFunctions.manualViewOncePurge;
 exports.getCleanupStats = videoFunctions.getCleanupStats;
 exports.deleteVideo = videoFunctions.deleteVideo;
+exports.markVideoViewed = videoFunctions.markVideoViewed;
+exports.saveMessage = videoFunctions.saveMessage;
 
 exports.sendVerificationCode = verificationFunctions.sendVerificationCode;
 exports.verifyCode = verificationFunctions.verifyCode;
@@ -71,6 +123,29 @@ exports.resendSignupLink = signupFunctions.resendSignupLink;
 exports.checkSignupVerification = signupFunctions.checkSignupVerification;
 exports.cleanupPendingRegistrations = signupFunctions.cleanupPendingRegistrations;
 
+exports.setContactDiscoverability = contactFunctions.setContactDiscoverability;
+exports.discoverContacts = contactFunctions.discoverContacts;
+
+exports.createGroup = groupFunctions.createGroup;
+exports.addGroupMembers = groupFunctions.addGroupMembers;
+exports.removeGroupMember = groupFunctions.removeGroupMember;
+exports.leaveGroup = groupFunctions.leaveGroup;
+exports.transferGroupOwnership = groupFunctions.transferGroupOwnership;
+exports.renameGroup = groupFunctions.renameGroup;
+exports.createGroupInviteCode = groupFunctions.createGroupInviteCode;
+exports.redeemGroupInviteCode = groupFunctions.redeemGroupInviteCode;
+exports.revokeGroupInviteCode = groupFunctions.revokeGroupInviteCode;
+exports.cleanupExpiredInviteCodes = groupFunctions.cleanupExpiredInviteCodes;
+exports.manualInviteCodeCleanup = groupFunctions.manualInviteCodeCleanup;
+exports.cleanupOrphanedGroups = groupFunctions.cleanupOrphanedGroups;
+exports.manualOrphanedGroupCleanup = groupFunctions.manualOrphanedGroupCleanup;
+
+exports.reportUser = moderationFunctions.reportUser;
+exports.reportMessage = moderationFunctions.reportMessage;
+exports.listReports = moderationFunctions.listReports;
+exports.resolveReport = moderationFunctions.resolveReport;
+exports.takeModerationAction = moderationFunctions.takeModerationAction;
+
 exports.checkInactiveAccounts = inactiveFunctions.checkInactiveAccounts;
 exports.manualInactiveAccountCheck = inactiveFunctions.manualInactiveAccountCheck;
 exports.updateLastActive = inactiveFunctions.updateLastActive;
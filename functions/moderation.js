@@ -0,0 +1,602 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+
+// Constants
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'nudity',
+  'violence',
+  'self_harm',
+  'impersonation',
+  'other'
+];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MODERATION_ACTIONS = ['warn', 'suspend', 'unsuspend', 'remove_content'];
+const MAX_REPORT_DETAILS_LENGTH = 500;
+const MAX_MODERATION_NOTE_LENGTH = 500;
+const DEFAULT_REPORTS_PAGE_SIZE = 20;
+const MAX_REPORTS_PAGE_SIZE = 100;
+
+/**
+ * Validate the reason and optional free-text details of a report
+ * Returns the trimmed details (or null), throwing an HttpsError if invalid
+ */
+function validateReport(reason, details) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new HttpsError('invalid-argument', `reason must be one of: ${REPORT_REASONS.join(', ')}`);
+  }
+
+  if (details === undefined || details === null) {
+    return null;
+  }
+
+  if (typeof details !== 'string') {
+    throw new HttpsError('invalid-argument', 'details must be a string');
+  }
+
+  const trimmed = details.trim();
+  if (trimmed.length > MAX_REPORT_DETAILS_LENGTH) {
+    throw new HttpsError('invalid-argument', `details must be ${MAX_REPORT_DETAILS_LENGTH} characters or less`);
+  }
+
+  return trimmed || null;
+}
+
+/**
+ * Validate an optional moderator note
+ */
+function validateNote(note) {
+  if (note === undefined || note === null) {
+    return null;
+  }
+
+  if (typeof note !== 'string' || note.trim().length > MAX_MODERATION_NOTE_LENGTH) {
+    throw new HttpsError('invalid-argument', `note must be a string of ${MAX_MODERATION_NOTE_LENGTH} characters or less`);
+  }
+
+  return note.trim() || null;
+}
+
+module.exports = (firebaseHelper, friendFunctions = null, videoFunctions = null, rateLimiter = null) => {
+  const { admin, db } = firebaseHelper;
+
+  /**
+   * Append an entry to the moderation audit log
+   * Accepts a batch or transaction so the entry commits with the change it describes
+   */
+  function writeAuditEntry(writer, entry) {
+    const auditRef = db.collection('moderationAuditLog').doc();
+    writer.set(auditRef, {
+      ...entry,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Verify the caller is an admin, throwing an HttpsError otherwise
+   */
+  async function requireAdmin(request) {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'You must be logged in');
+    }
+
+    const userDoc = await db.collection('users').doc(request.auth.uid).get();
+    if (!userDoc.exists || !userDoc.data().isAdmin) {
+      throw new HttpsError('permission-denied', 'Admin access required');
+    }
+  }
+
+  /**
+   * Snapshot the fields moderators need, so evidence survives the message being deleted
+   */
+  function snapshotMessage(messageData) {
+    const storagePaths = [
+      messageData.videoUrl,
+      messageData.thumbnailUrl,
+      messageData.encryptedVideoUrl,
+      messageData.encryptedThumbnailUrl
+    ]
+      .filter(Boolean)
+      .map(url => (videoFunctions ? videoFunctions.extractStoragePath(url) : null) || url);
+
+    return {
+      caption: messageData.caption || null,
+      senderId: messageData.senderId || null,
+      storagePaths: storagePaths,
+      createdAt: messageData.createdAt || null,
+      expiresAt: messageData.expiresAt || null
+    };
+  }
+
+  /**
+   * Create a report (or return the reporter's existing open report for the same target)
+   * and optionally block the reported user
+   */
+  async function submitReport(reporterId, report, block) {
+    if (rateLimiter) {
+      await rateLimiter.enforceRateLimit(reporterId, 'report');
+    }
+
+    // One open report per reporter and target keeps the queue free of duplicates
+    let existingQuery = db.collection('moderationReports')
+      .where('reporterId', '==', reporterId)
+      .where('reportedUserId', '==', report.reportedUserId)
+      .where('type', '==', report.type)
+      .where('status', '==', 'open');
+
+    if (report.messageId) {
+      existingQuery = existingQuery.where('messageId', '==', report.messageId);
+    }
+
+    const existing = await existingQuery.limit(1).get();
+
+    let reportId;
+    let alreadyReported = false;
+
+    if (!existing.empty) {
+      reportId = existing.docs[0].id;
+      alreadyReported = true;
+    } else {
+      const reportRef = db.collection('moderationReports').doc();
+      reportId = reportRef.id;
+
+      const batch = db.batch();
+      batch.set(reportRef, {
+        id: reportId,
+        ...report,
+        reporterId: reporterId,
+        status: 'open',
+        autoBlocked: block,
+        actions: [],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      writeAuditEntry(batch, {
+        action: 'report_created',
+        actorId: reporterId,
+        reportId: reportId,
+        targetUserId: report.reportedUserId,
+        details: { type: report.type, reason: report.reason }
+      });
+
+      await batch.commit();
+      console.log(`🚩 User ${reporterId} reported ${report.type} (${report.reason}) against ${report.reportedUserId}: ${reportId}`);
+    }
+
+    // Always hide rather than purge so moderators can still review the content
+    let blockResult = null;
+    if (block && friendFunctions) {
+      blockResult = await friendFunctions.applyBlock(reporterId, report.reportedUserId, 'hide');
+    }
+
+    return { success: true, reportId, alreadyReported, blocked: !!blockResult };
+  }
+
+  return {
+    /**
+     * reportUser - Flag another user's account for review
+     */
+    reportUser: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 120
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const reporterId = request.auth.uid;
+      const { userId, reason, details, block = false } = request.data || {};
+
+      if (!userId || typeof userId !== 'string') {
+        throw new HttpsError('invalid-argument', 'User ID to report is required');
+      }
+
+      if (userId === reporterId) {
+        throw new HttpsError('invalid-argument', 'You cannot report yourself');
+      }
+
+      const validatedDetails = validateReport(reason, details);
+
+      try {
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+          throw new HttpsError('not-found', 'User not found');
+        }
+
+        return await submitReport(reporterId, {
+          type: 'user',
+          reportedUserId: userId,
+          reason: reason,
+          details: validatedDetails
+        }, block === true);
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error reporting user:', error);
+        throw new HttpsError('internal', 'Failed to submit report');
+      }
+    }),
+
+    /**
+     * reportMessage - Flag a video message the caller received for review
+     */
+    reportMessage: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 120
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const reporterId = request.auth.uid;
+      const { chatId, messageId, reason, details, block = false } = request.data || {};
+
+      if (!chatId || !messageId) {
+        throw new HttpsError('invalid-argument', 'chatId and messageId are required');
+      }
+
+      const validatedDetails = validateReport(reason, details);
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const [chatDoc, messageDoc] = await Promise.all([
+          chatRef.get(),
+          chatRef.collection('messages').doc(messageId).get()
+        ]);
+
+        // Only participants can see - and so report - a chat's messages
+        if (!chatDoc.exists || !(chatDoc.data().participants || []).includes(reporterId)) {
+          throw new HttpsError('permission-denied', 'You are not a participant in this chat');
+        }
+
+        if (!messageDoc.exists) {
+          throw new HttpsError('not-found', 'Message not found');
+        }
+
+        const messageData = messageDoc.data();
+
+        if (!messageData.senderId) {
+          throw new HttpsError('failed-precondition', 'This message has no sender to report');
+        }
+
+        if (messageData.senderId === reporterId) {
+          throw new HttpsError('invalid-argument', 'You cannot report your own message');
+        }
+
+        return await submitReport(reporterId, {
+          type: 'message',
+          reportedUserId: messageData.senderId,
+          chatId: chatId,
+          messageId: messageId,
+          messageSnapshot: snapshotMessage(messageData),
+          reason: reason,
+          details: validatedDetails
+        }, block === true);
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error reporting message:', error);
+        throw new HttpsError('internal', 'Failed to submit report');
+      }
+    }),
+
+    /**
+     * Admin-only: page through the moderation queue
+     */
+    listReports: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      await requireAdmin(request);
+
+      const {
+        status = 'open',
+        reportedUserId = null,
+        cursor = null,
+        limit = DEFAULT_REPORTS_PAGE_SIZE
+      } = request.data || {};
+
+      if (!REPORT_STATUSES.includes(status)) {
+        throw new HttpsError('invalid-argument', `status must be one of: ${REPORT_STATUSES.join(', ')}`);
+      }
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_REPORTS_PAGE_SIZE, 1), MAX_REPORTS_PAGE_SIZE);
+
+      try {
+        let query = db.collection('moderationReports').where('status', '==', status);
+
+        if (reportedUserId) {
+          query = query.where('reportedUserId', '==', reportedUserId);
+        }
+
+        query = query.orderBy('createdAt', 'desc').limit(pageSize);
+
+        // The cursor is the report ID from the last entry of the previous page
+        if (cursor) {
+          const cursorDoc = await db.collection('moderationReports').doc(cursor).get();
+          if (!cursorDoc.exists) {
+            throw new HttpsError('invalid-argument', 'Invalid cursor');
+          }
+          query = query.startAfter(cursorDoc);
+        }
+
+        const snapshot = await query.get();
+
+        const reports = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            ...data,
+            createdAt: data.createdAt?.toDate?.().toISOString() || null,
+            updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+            resolvedAt: data.resolvedAt?.toDate?.().toISOString() || null
+          };
+        });
+
+        const nextCursor = snapshot.size === pageSize
+          ? snapshot.docs[snapshot.docs.length - 1].id
+          : null;
+
+        return { success: true, reports, nextCursor };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error listing reports:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    /**
+     * Admin-only: close a report as resolved or dismissed
+     */
+    resolveReport: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      await requireAdmin(request);
+
+      const adminId = request.auth.uid;
+      const { reportId, resolution = 'resolved', note } = request.data || {};
+
+      if (!reportId) {
+        throw new HttpsError('invalid-argument', 'reportId is required');
+      }
+
+      if (!['resolved', 'dismissed'].includes(resolution)) {
+        throw new HttpsError('invalid-argument', "resolution must be 'resolved' or 'dismissed'");
+      }
+
+      const validatedNote = validateNote(note);
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          const reportRef = db.collection('moderationReports').doc(reportId);
+          const reportDoc = await transaction.get(reportRef);
+
+          if (!reportDoc.exists) {
+            throw new HttpsError('not-found', 'Report not found');
+          }
+
+          if (reportDoc.data().status !== 'open') {
+            throw new HttpsError('failed-precondition', 'Report has already been closed');
+          }
+
+          transaction.update(reportRef, {
+            status: resolution,
+            resolvedBy: adminId,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            resolutionNote: validatedNote,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          writeAuditEntry(transaction, {
+            action: `report_${resolution}`,
+            actorId: adminId,
+            reportId: reportId,
+            targetUserId: reportDoc.data().reportedUserId,
+            details: { note: validatedNote }
+          });
+
+          console.log(`🔧 Report ${reportId} ${resolution} by ${adminId}`);
+          return { success: true, reportId, status: resolution };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error resolving report:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    /**
+     * Admin-only: act on a user or their content
+     *
+     * Actions:
+     *   warn           - count a warning and notify the user
+     *   suspend        - disable sign-in and revoke sessions until unsuspended
+     *   unsuspend      - lift a suspension
+     *   remove_content - delete a message's video files and soft delete it
+     *
+     * Pass reportId to act on a report's target (and message, for remove_content),
+     * or userId / chatId + messageId directly.
+     */
+    takeModerationAction: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 120
+    }, async (request) => {
+      await requireAdmin(request);
+
+      const adminId = request.auth.uid;
+      const { action, reportId = null, note } = request.data || {};
+      let { userId = null, chatId = null, messageId = null } = request.data || {};
+
+      if (!MODERATION_ACTIONS.includes(action)) {
+        throw new HttpsError('invalid-argument', `action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+      }
+
+      const validatedNote = validateNote(note);
+
+      try {
+        // Fill in the target from the report when one is given
+        let reportRef = null;
+        if (reportId) {
+          reportRef = db.collection('moderationReports').doc(reportId);
+          const reportDoc = await reportRef.get();
+
+          if (!reportDoc.exists) {
+            throw new HttpsError('not-found', 'Report not found');
+          }
+
+          const reportData = reportDoc.data();
+          userId = userId || reportData.reportedUserId;
+          chatId = chatId || reportData.chatId || null;
+          messageId = messageId || reportData.messageId || null;
+        }
+
+        if (!userId && action !== 'remove_content') {
+          throw new HttpsError('invalid-argument', 'userId or reportId is required');
+        }
+
+        if (userId === adminId) {
+          throw new HttpsError('failed-precondition', 'You cannot take moderation action against yourself');
+        }
+
+        const result = { success: true, action };
+
+        if (action === 'remove_content') {
+          if (!chatId || !messageId) {
+            throw new HttpsError('invalid-argument', 'chatId and messageId (or a message reportId) are required');
+          }
+
+          if (!videoFunctions) {
+            throw new HttpsError('failed-precondition', 'Content removal is not available');
+          }
+
+          const messageRef = db.collection('chats').doc(chatId).collection('messages').doc(messageId);
+          const messageDoc = await messageRef.get();
+
+          if (!messageDoc.exists) {
+            throw new HttpsError('not-found', 'Message not found');
+          }
+
+          // The audit log always names whose content was removed
+          const senderId = messageDoc.data().senderId;
+          if (!senderId) {
+            throw new HttpsError('failed-precondition', 'This message has no sender');
+          }
+
+          if (userId && userId !== senderId) {
+            throw new HttpsError('invalid-argument', 'userId must be the sender of the message');
+          }
+
+          userId = senderId;
+          result.filesDeleted = await videoFunctions.removeMessageContent(
+            messageRef,
+            messageDoc.data(),
+            `moderation:${adminId}`
+          );
+        } else {
+          const userRef = db.collection('users').doc(userId);
+          const userDoc = await userRef.get();
+
+          if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+          }
+
+          // Admins can't lock each other out
+          if ((action === 'suspend' || action === 'unsuspend') && userDoc.data().isAdmin) {
+            throw new HttpsError('failed-precondition', 'Admins cannot be suspended or unsuspended');
+          }
+
+          if (action === 'warn') {
+            await userRef.update({
+              moderationWarningCount: admin.firestore.FieldValue.increment(1),
+              lastModerationWarningAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            // Let the user know - a missing or stale token shouldn't fail the action
+            const fcmToken = userDoc.data().fcmToken;
+            if (fcmToken) {
+              try {
+                await admin.messaging().send({
+                  token: fcmToken,
+                  notification: {
+                    title: 'Community guidelines warning',
+                    body: 'Some of your activity was reported and reviewed. Repeated violations may lead to suspension.'
+                  },
+                  data: { type: 'moderationWarning' }
+                });
+              } catch (error) {
+                console.error(`⚠️ Failed to send warning notification to ${userId}:`, error);
+              }
+            }
+          } else if (action === 'suspend') {
+            await admin.auth().updateUser(userId, { disabled: true });
+            await admin.auth().revokeRefreshTokens(userId);
+            await userRef.update({
+              isSuspended: true,
+              suspendedAt: admin.firestore.FieldValue.serverTimestamp(),
+              suspendedBy: adminId
+            });
+          } else if (action === 'unsuspend') {
+            await admin.auth().updateUser(userId, { disabled: false });
+            await userRef.update({
+              isSuspended: false,
+              suspendedAt: admin.firestore.FieldValue.delete(),
+              suspendedBy: admin.firestore.FieldValue.delete()
+            });
+          }
+        }
+
+        // Record the action on the report and in the audit log together
+        const batch = db.batch();
+
+        if (reportRef) {
+          batch.update(reportRef, {
+            actions: admin.firestore.FieldValue.arrayUnion({
+              action: action,
+              by: adminId,
+              at: admin.firestore.Timestamp.now(),
+              note: validatedNote
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+
+        writeAuditEntry(batch, {
+          action: action,
+          actorId: adminId,
+          reportId: reportId,
+          targetUserId: userId,
+          details: {
+            chatId: chatId,
+            messageId: messageId,
+            note: validatedNote,
+            ...(result.filesDeleted !== undefined ? { filesDeleted: result.filesDeleted } : {})
+          }
+        });
+
+        await batch.commit();
+
+        console.log(`🔧 Moderation action ${action} on ${userId} by ${adminId}${reportId ? ` (report ${reportId})` : ''}`);
+        return { ...result, userId };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error taking moderation action:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    })
+  };
+};
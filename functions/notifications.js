@@ -1,7 +1,7 @@
 // functions/src/notifications.js
 const { onDocumentCreated } = require('firebase-functions/v2/firestore');
 
-module.exports = (firebaseHelper) => {
+module.exports = (firebaseHelper, chatFunctions = null) => {
   const { admin, db } = firebaseHelper;
 
   return {
@@ -39,7 +39,24 @@ module.exports = (firebaseHelper) => {
           if (!userDoc.exists) continue;
 
           const userData = userDoc.data();
-          if (!userData.notifyImmediately || !userData.notifyForNewMessages || !userData.fcmToken) continue;
+          if (!userData.notifyForNewMessages || !userData.fcmToken) continue;
+
+          const friendEntry = await db.collection('userFriendships').doc(userId).collection('friends').doc(senderId).get();
+          const friendData = friendEntry.exists ? friendEntry.data() : {};
+
+          // Favorites always notify, even when immediate notifications are turned off
+          if (!userData.notifyImmediately && !friendData.isFavorite) continue;
+
+          // Skip senders this user has muted (timed mutes stop applying once mutedUntil passes)
+          if (friendData.isMuted) {
+            const mutedUntil = friendData.mutedUntil;
+            if (!mutedUntil || mutedUntil.toMillis() > Date.now()) {
+              console.log(`🔇 Skipping notification to ${userId}: sender ${senderId} is muted`);
+              continue;
+            }
+          }
+
+          const badge = chatFunctions ? await chatFunctions.getBadgeCount(userId) : 1;
 
           // Prepare notification
           const message = {
@@ -61,7 +78,7 @@ module.exports = (firebaseHelper) => {
                     title: `New message from ${senderName}`,
                     body: messageData.caption || "Sent you a message"
                   },
-                  badge: 1,
+                  badge: badge,
                   sound: userData.soundEnabled !== false ? "default" : "none"
                 }
               }
@@ -105,12 +122,21 @@ module.exports = (firebaseHelper) => {
           const senderDoc = await db.collection('users').doc(friendId).get();
           const senderName = senderDoc.exists ? senderDoc.data().displayName : 'Someone';
 
+          // Use the sender's note as the body if they attached one
+          const friendshipDoc = data.friendshipId
+            ? await db.collection('friendships').doc(data.friendshipId).get()
+            : null;
+          const requestMessage = friendshipDoc && friendshipDoc.exists ? friendshipDoc.data().requestMessage : null;
+
+          // Includes this request, since its userFriendships entry already exists
+          const badge = chatFunctions ? await chatFunctions.getBadgeCount(userId) : 1;
+
           // Prepare notification
           const message = {
             token: userData.fcmToken,
             notification: {
-              title: 'New Friend Request',
-              body: `${senderName} wants to connect with you`
+              title: requestMessage ? `Friend request from ${senderName}` : 'New Friend Request',
+              body: requestMessage || `${senderName} wants to connect with you`
             },
             data: {
               type: 'friendRequest', // Changed to match Swift
@@ -119,7 +145,7 @@ module.exports = (firebaseHelper) => {
             apns: {
               payload: {
                 aps: {
-                  badge: 1,
+                  badge: badge,
                   sound: userData.soundEnabled !== false ? 'default' : 'none'
                 }
               }
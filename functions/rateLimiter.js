@@ -0,0 +1,317 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+
+// Constants
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CONFIG_CACHE_TTL_MS = 5 * 60 * 1000; // Re-read admin overrides at most every 5 minutes
+
+// Default limits per action. Admins can override any value in systemConfig/rateLimits.
+//   perHour / perDay      - sliding-window caps on attempts
+//   maxOutstanding        - cap on open items the caller supplies (e.g. pending requests)
+//   unitsPerDay           - sliding-window cap on the total size of attempts the caller supplies
+//                           as context.units (e.g. contact hashes looked up)
+//   strikeThreshold       - distinct users "striking" (e.g. rejecting) within strikeWindowHours
+//                           before the caller is put on cooldown for cooldownHours
+const DEFAULT_LIMITS = {
+  friendRequest: {
+    perHour: 20,
+    perDay: 50,
+    maxOutstanding: 100,
+    strikeThreshold: 5,
+    strikeWindowHours: 24,
+    cooldownHours: 24
+  },
+  report: {
+    perHour: 10,
+    perDay: 30
+  },
+  groupInviteRedeem: {
+    perHour: 10,
+    perDay: 30
+  },
+  contactDiscovery: {
+    perDay: 10,
+    unitsPerDay: 2000
+  },
+  handleLookup: {
+    perHour: 30,
+    perDay: 200
+  }
+};
+
+const LIMIT_KEYS = [
+  'perHour',
+  'perDay',
+  'maxOutstanding',
+  'unitsPerDay',
+  'strikeThreshold',
+  'strikeWindowHours',
+  'cooldownHours'
+];
+
+module.exports = (firebaseHelper) => {
+  const { admin, db } = firebaseHelper;
+
+  let cachedConfig = null;
+  let cachedConfigAt = 0;
+
+  /**
+   * Get the effective limits for an action (defaults merged with admin overrides)
+   */
+  async function getLimits(action) {
+    if (!cachedConfig || Date.now() - cachedConfigAt > CONFIG_CACHE_TTL_MS) {
+      const configDoc = await db.collection('systemConfig').doc('rateLimits').get();
+      cachedConfig = configDoc.exists ? configDoc.data() : {};
+      cachedConfigAt = Date.now();
+    }
+
+    return { ...(DEFAULT_LIMITS[action] || {}), ...(cachedConfig[action] || {}) };
+  }
+
+  function limiterRef(uid, action) {
+    return db.collection('rateLimits').doc(uid).collection('actions').doc(action);
+  }
+
+  /**
+   * Record a throttle decision (allowed or denied) in systemLogs
+   */
+  async function logDecision(uid, action, decision) {
+    try {
+      await db.collection('systemLogs')
+        .doc('rateLimits')
+        .collection('decisions')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          uid: uid,
+          action: action,
+          ...decision
+        });
+    } catch (error) {
+      // Never fail the caller's request because logging failed
+      console.error(`❌ Failed to log rate limit decision for ${uid}:`, error);
+    }
+  }
+
+  /**
+   * Check and count one attempt of an action for a user
+   *
+   * Throws resource-exhausted if the user is on cooldown, over a sliding-window
+   * cap, over the outstanding cap (when context.outstanding is provided), or
+   * over the daily unit budget (when context.units is provided).
+   */
+  async function enforceRateLimit(uid, action, context = {}) {
+    const limits = await getLimits(action);
+    const ref = limiterRef(uid, action);
+
+    const decision = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const data = doc.exists ? doc.data() : {};
+      const now = Date.now();
+
+      if (data.cooldownUntil && data.cooldownUntil.toMillis() > now) {
+        return { allowed: false, reason: 'cooldown', retryAfter: data.cooldownUntil.toDate().toISOString() };
+      }
+
+      // Sliding window log - keep only attempts inside the longest window
+      const events = (data.events || []).filter(timestamp => now - timestamp < DAY_MS);
+      const lastHour = events.filter(timestamp => now - timestamp < HOUR_MS).length;
+
+      if (limits.perHour !== undefined && lastHour >= limits.perHour) {
+        return { allowed: false, reason: 'hourly_limit', count: lastHour, limit: limits.perHour };
+      }
+
+      if (limits.perDay !== undefined && events.length >= limits.perDay) {
+        return { allowed: false, reason: 'daily_limit', count: events.length, limit: limits.perDay };
+      }
+
+      if (limits.maxOutstanding !== undefined && context.outstanding !== undefined &&
+          context.outstanding >= limits.maxOutstanding) {
+        return { allowed: false, reason: 'outstanding_limit', count: context.outstanding, limit: limits.maxOutstanding };
+      }
+
+      const unitEvents = (data.unitEvents || []).filter(event => now - event.at < DAY_MS);
+      const unitsToday = unitEvents.reduce((sum, event) => sum + event.units, 0);
+
+      if (limits.unitsPerDay !== undefined && context.units !== undefined &&
+          unitsToday + context.units > limits.unitsPerDay) {
+        return { allowed: false, reason: 'unit_limit', count: unitsToday, limit: limits.unitsPerDay };
+      }
+
+      events.push(now);
+      const updates = {
+        events: events,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (context.units !== undefined) {
+        unitEvents.push({ at: now, units: context.units });
+        updates.unitEvents = unitEvents;
+      }
+
+      transaction.set(ref, updates, { merge: true });
+
+      return { allowed: true };
+    });
+
+    await logDecision(uid, action, decision);
+
+    if (!decision.allowed) {
+      console.log(`🚦 Throttled ${action} for ${uid}: ${decision.reason}`);
+      throw new HttpsError('resource-exhausted', 'Too many requests. Please try again later.');
+    }
+  }
+
+  /**
+   * Record a strike against a user from another user (e.g. a rejected request)
+   *
+   * Strikes from the same source only count once. Reaching the threshold starts
+   * a cooldown during which enforceRateLimit denies the action.
+   * Returns true if this strike started a cooldown.
+   */
+  async function recordStrike(uid, action, sourceId) {
+    const limits = await getLimits(action);
+    if (!limits.strikeThreshold) return false;
+
+    const ref = limiterRef(uid, action);
+
+    const cooldownUntil = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const data = doc.exists ? doc.data() : {};
+      const now = Date.now();
+      const windowMs = (limits.strikeWindowHours || 24) * HOUR_MS;
+
+      const strikes = (data.strikes || [])
+        .filter(strike => now - strike.at < windowMs && strike.sourceId !== sourceId);
+      strikes.push({ sourceId: sourceId, at: now });
+
+      if (strikes.length >= limits.strikeThreshold) {
+        const until = new Date(now + (limits.cooldownHours || 24) * HOUR_MS);
+        transaction.set(ref, {
+          strikes: [],
+          cooldownUntil: admin.firestore.Timestamp.fromDate(until),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        return until;
+      }
+
+      transaction.set(ref, {
+        strikes: strikes,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return null;
+    });
+
+    if (cooldownUntil) {
+      console.log(`🚦 Cooldown started for ${action} by ${uid} until ${cooldownUntil.toISOString()}`);
+      await logDecision(uid, action, {
+        allowed: false,
+        reason: 'cooldown_started',
+        retryAfter: cooldownUntil.toISOString()
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  return {
+    // Exported for use by other modules (e.g., friends.js, moderation.js, groups.js, contacts.js, usernames.js)
+    enforceRateLimit,
+    recordStrike,
+
+    /**
+     * Admin-only: view the effective rate limits for every action
+     */
+    getRateLimitConfig: onCall({
+      region: 'us-central1',
+      maxInstances: 10
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      try {
+        // Bypass the cache so admins always see what's stored
+        cachedConfig = null;
+
+        const limits = {};
+        for (const action of Object.keys(DEFAULT_LIMITS)) {
+          limits[action] = await getLimits(action);
+        }
+
+        return { defaults: DEFAULT_LIMITS, limits };
+      } catch (error) {
+        console.error('Error getting rate limit config:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
+    /**
+     * Admin-only: override one or more limits for an action
+     * Pass null for a value to fall back to the default.
+     */
+    updateRateLimitConfig: onCall({
+      region: 'us-central1',
+      maxInstances: 10
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      // Verify admin status
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      const { action, limits } = request.data || {};
+
+      if (!DEFAULT_LIMITS[action]) {
+        throw new HttpsError('invalid-argument', `Unknown action. Expected one of: ${Object.keys(DEFAULT_LIMITS).join(', ')}`);
+      }
+
+      if (!limits || typeof limits !== 'object') {
+        throw new HttpsError('invalid-argument', 'limits object is required');
+      }
+
+      const updates = {};
+      for (const [key, value] of Object.entries(limits)) {
+        if (!LIMIT_KEYS.includes(key)) {
+          throw new HttpsError('invalid-argument', `Unknown limit: ${key}`);
+        }
+
+        if (value === null) {
+          updates[`${action}.${key}`] = admin.firestore.FieldValue.delete();
+        } else if (typeof value === 'number' && value >= 0) {
+          updates[`${action}.${key}`] = value;
+        } else {
+          throw new HttpsError('invalid-argument', `${key} must be a non-negative number or null`);
+        }
+      }
+
+      try {
+        const configRef = db.collection('systemConfig').doc('rateLimits');
+        await configRef.set({}, { merge: true });
+        await configRef.update({
+          ...updates,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedBy: request.auth.uid
+        });
+
+        cachedConfig = null;
+
+        console.log(`🔧 Rate limits for ${action} updated by ${request.auth.uid}`);
+        return { success: true, limits: await getLimits(action) };
+      } catch (error) {
+        console.error('Error updating rate limit config:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    })
+  };
+};
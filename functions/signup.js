@@ -164,6 +164,12 @@ module.exports = (firebaseHelper) => {
     }
 
     return {
+        // Export generateEmailHash so other modules (e.g., contacts.js) share the same normalization
+        generateEmailHash,
+        // Export the JWT helpers so other modules (e.g., friends.js) sign and verify tokens the same way
+        generateToken,
+        verifyToken,
+
         /**
          * initiateSignup - Start the email-first signup flow
          *
@@ -0,0 +1,111 @@
+const {
+  ffTest,
+  db,
+  firebaseHelper,
+  describeWithEmulator,
+  clearFirestore,
+  writeFriendship,
+  callableRequest
+} = require('./helpers');
+
+describeWithEmulator('groups', () => {
+  const groupFunctions = require('../groups.js')(firebaseHelper);
+  const createGroup = ffTest.wrap(groupFunctions.createGroup);
+  const addGroupMembers = ffTest.wrap(groupFunctions.addGroupMembers);
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await writeFriendship('owner', 'bob');
+    await writeFriendship('owner', 'carol');
+  });
+
+  afterAll(() => {
+    ffTest.cleanup();
+  });
+
+  async function groupCount() {
+    const snapshot = await db.collection('groups').count().get();
+    return snapshot.data().count;
+  }
+
+  describe('createGroup', () => {
+    test('creates the group, its members and its chat together', async () => {
+      const result = await createGroup(callableRequest('owner', { name: ' Friends ', memberIds: ['bob', 'carol'] }));
+
+      const groupDoc = await db.collection('groups').doc(result.groupId).get();
+      expect(groupDoc.data()).toMatchObject({
+        name: 'Friends',
+        ownerId: 'owner',
+        memberIds: ['owner', 'bob', 'carol'],
+        memberCount: 3
+      });
+
+      const members = await groupDoc.ref.collection('members').get();
+      expect(members.docs.map(doc => [doc.id, doc.data().role]).sort()).toEqual([
+        ['bob', 'member'],
+        ['carol', 'member'],
+        ['owner', 'owner']
+      ]);
+
+      const chatDoc = await db.collection('chats').doc(result.chatId).get();
+      expect(chatDoc.data()).toMatchObject({ isGroup: true, participants: ['owner', 'bob', 'carol'] });
+    });
+
+    test('only lets friends be added', async () => {
+      await expect(createGroup(callableRequest('owner', { name: 'Friends', memberIds: ['bob', 'stranger'] })))
+        .rejects.toMatchObject({ code: 'failed-precondition' });
+      expect(await groupCount()).toBe(0);
+    });
+
+    test('refuses initial members who have blocked each other', async () => {
+      await writeFriendship('bob', 'carol', 'blocked');
+
+      await expect(createGroup(callableRequest('owner', { name: 'Friends', memberIds: ['bob', 'carol'] })))
+        .rejects.toMatchObject({
+          code: 'failed-precondition',
+          message: 'One or more of these users cannot be added to this group'
+        });
+      expect(await groupCount()).toBe(0);
+    });
+  });
+
+  describe('addGroupMembers', () => {
+    let groupId;
+
+    beforeEach(async () => {
+      ({ groupId } = await createGroup(callableRequest('owner', { name: 'Friends', memberIds: ['bob'] })));
+    });
+
+    test('adds friends to the group and its chat', async () => {
+      const result = await addGroupMembers(callableRequest('owner', { groupId, userIds: ['carol'] }));
+      expect(result).toEqual({ success: true, addedCount: 1 });
+
+      const groupDoc = await db.collection('groups').doc(groupId).get();
+      expect(groupDoc.data().memberIds).toEqual(['owner', 'bob', 'carol']);
+      expect(groupDoc.data().memberCount).toBe(3);
+
+      const chatDoc = await db.collection('chats').doc(groupId).get();
+      expect(chatDoc.data().participants).toEqual(['owner', 'bob', 'carol']);
+    });
+
+    test('hides the group from non-members', async () => {
+      await writeFriendship('carol', 'dave');
+
+      await expect(addGroupMembers(callableRequest('carol', { groupId, userIds: ['dave'] })))
+        .rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    test('refuses users with a block against an existing member', async () => {
+      await writeFriendship('carol', 'bob', 'blocked');
+
+      await expect(addGroupMembers(callableRequest('owner', { groupId, userIds: ['carol'] })))
+        .rejects.toMatchObject({
+          code: 'failed-precondition',
+          message: 'One or more of these users cannot be added to this group'
+        });
+
+      const groupDoc = await db.collection('groups').doc(groupId).get();
+      expect(groupDoc.data().memberIds).toEqual(['owner', 'bob']);
+    });
+  });
+});
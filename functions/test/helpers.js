@@ -0,0 +1,81 @@
+// Shared setup for the emulator-backed tests
+// Run with `npm run test:emulator`, or `npm test` against an emulator that is already running
+const functionsTest = require('firebase-functions-test');
+const admin = require('firebase-admin');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-albondigas';
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+const ffTest = functionsTest({ projectId: PROJECT_ID });
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: PROJECT_ID });
+}
+
+const db = admin.firestore();
+const firebaseHelper = { admin, db };
+
+// These tests write real documents, so never run them anywhere but the emulator
+const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+/**
+ * Delete every document in the emulator's database
+ */
+async function clearFirestore() {
+  const response = await fetch(
+    `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: 'DELETE' }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to clear the Firestore emulator: ${response.status}`);
+  }
+}
+
+/**
+ * Write a friendship between two users in the shape friends.js uses
+ * status is 'accepted', 'pending' or 'blocked'
+ */
+async function writeFriendship(userId, friendId, status = 'accepted') {
+  const friendshipId = [userId, friendId].sort().join('_');
+  const batch = db.batch();
+
+  batch.set(db.collection('friendships').doc(friendshipId), {
+    id: friendshipId,
+    userIds: [userId, friendId].sort(),
+    status: status,
+    initiatorId: userId
+  });
+
+  if (status !== 'blocked') {
+    batch.set(db.collection('userFriendships').doc(userId).collection('friends').doc(friendId), {
+      friendshipId: friendshipId,
+      status: status
+    });
+    batch.set(db.collection('userFriendships').doc(friendId).collection('friends').doc(userId), {
+      friendshipId: friendshipId,
+      status: status
+    });
+  }
+
+  await batch.commit();
+  return friendshipId;
+}
+
+/**
+ * A callable request as firebase-functions passes it to the handler
+ */
+function callableRequest(uid, data = {}) {
+  return { data, auth: uid ? { uid, token: {} } : undefined, rawRequest: {} };
+}
+
+module.exports = {
+  ffTest,
+  admin,
+  db,
+  firebaseHelper,
+  describeWithEmulator,
+  clearFirestore,
+  writeFriendship,
+  callableRequest
+};
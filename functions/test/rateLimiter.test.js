@@ -0,0 +1,107 @@
+const {
+  ffTest,
+  db,
+  firebaseHelper,
+  describeWithEmulator,
+  clearFirestore,
+  callableRequest
+} = require('./helpers');
+
+describeWithEmulator('rateLimiter', () => {
+  let rateLimiter;
+
+  beforeEach(async () => {
+    await clearFirestore();
+    // A fresh instance per test so the config cache never leaks between tests
+    rateLimiter = require('../rateLimiter.js')(firebaseHelper);
+  });
+
+  afterAll(() => {
+    ffTest.cleanup();
+  });
+
+  test('allows attempts up to the hourly cap and then throttles', async () => {
+    for (let i = 0; i < 10; i++) {
+      await rateLimiter.enforceRateLimit('alice', 'groupInviteRedeem');
+    }
+
+    await expect(rateLimiter.enforceRateLimit('alice', 'groupInviteRedeem'))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+
+    // Other users and other actions have their own windows
+    await expect(rateLimiter.enforceRateLimit('bob', 'groupInviteRedeem')).resolves.toBeUndefined();
+    await expect(rateLimiter.enforceRateLimit('alice', 'report')).resolves.toBeUndefined();
+
+    const limiterDoc = await db.collection('rateLimits').doc('alice')
+      .collection('actions').doc('groupInviteRedeem').get();
+    expect(limiterDoc.data().events).toHaveLength(10);
+  });
+
+  test('enforces the outstanding cap from the caller context', async () => {
+    await expect(rateLimiter.enforceRateLimit('alice', 'friendRequest', { outstanding: 99 }))
+      .resolves.toBeUndefined();
+    await expect(rateLimiter.enforceRateLimit('alice', 'friendRequest', { outstanding: 100 }))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+  });
+
+  test('enforces the daily unit budget', async () => {
+    await rateLimiter.enforceRateLimit('alice', 'contactDiscovery', { units: 1500 });
+
+    await expect(rateLimiter.enforceRateLimit('alice', 'contactDiscovery', { units: 600 }))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+
+    // A denied attempt doesn't use up any of the budget
+    await expect(rateLimiter.enforceRateLimit('alice', 'contactDiscovery', { units: 500 }))
+      .resolves.toBeUndefined();
+  });
+
+  test('starts a cooldown once enough distinct users strike', async () => {
+    // Repeat strikes from one user only count once
+    for (let i = 0; i < 5; i++) {
+      expect(await rateLimiter.recordStrike('alice', 'friendRequest', 'bob')).toBe(false);
+    }
+    await expect(rateLimiter.enforceRateLimit('alice', 'friendRequest')).resolves.toBeUndefined();
+
+    for (const sourceId of ['carol', 'dave', 'erin']) {
+      expect(await rateLimiter.recordStrike('alice', 'friendRequest', sourceId)).toBe(false);
+    }
+    expect(await rateLimiter.recordStrike('alice', 'friendRequest', 'frank')).toBe(true);
+
+    await expect(rateLimiter.enforceRateLimit('alice', 'friendRequest'))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+  });
+
+  test('logs every decision', async () => {
+    await db.collection('systemConfig').doc('rateLimits').set({ report: { perHour: 1 } });
+
+    await rateLimiter.enforceRateLimit('alice', 'report');
+    await expect(rateLimiter.enforceRateLimit('alice', 'report'))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+
+    const decisions = await db.collection('systemLogs').doc('rateLimits')
+      .collection('decisions')
+      .where('uid', '==', 'alice')
+      .get();
+    const outcomes = decisions.docs.map(doc => doc.data().allowed).sort();
+    expect(outcomes).toEqual([false, true]);
+  });
+
+  test('applies admin overrides from updateRateLimitConfig', async () => {
+    await db.collection('users').doc('admin').set({ isAdmin: true });
+    await db.collection('users').doc('alice').set({ isAdmin: false });
+
+    const updateConfig = ffTest.wrap(rateLimiter.updateRateLimitConfig);
+
+    await expect(updateConfig(callableRequest('alice', { action: 'report', limits: { perHour: 1 } })))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    await expect(updateConfig(callableRequest('admin', { action: 'report', limits: { perMinute: 1 } })))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+
+    const result = await updateConfig(callableRequest('admin', { action: 'report', limits: { perHour: 1 } }));
+    expect(result.limits.perHour).toBe(1);
+
+    await rateLimiter.enforceRateLimit('alice', 'report');
+    await expect(rateLimiter.enforceRateLimit('alice', 'report'))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  ffTest,
+  admin,
+  db,
+  firebaseHelper,
+  describeWithEmulator,
+  clearFirestore,
+  callableRequest
+} = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describeWithEmulator('video cleanup save retention', () => {
+  const videoFunctions = require('../videos.js')(firebaseHelper);
+  const manualVideoCleanup = ffTest.wrap(videoFunctions.manualVideoCleanup);
+
+  const chatRef = db.collection('chats').doc('alice_bob');
+
+  function writeMessage(messageId, { savedBy = [], expiresInDays = -1 } = {}) {
+    return chatRef.collection('messages').doc(messageId).set({
+      senderId: 'alice',
+      videoUrl: `https://example.com/${messageId}.mp4`,
+      savedBy: savedBy,
+      isSaved: savedBy.length > 0,
+      contentRemoved: false,
+      createdAt: admin.firestore.Timestamp.fromMillis(Date.now() - 31 * DAY_MS),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + expiresInDays * DAY_MS)
+    });
+  }
+
+  async function isRemoved(messageId) {
+    const messageDoc = await chatRef.collection('messages').doc(messageId).get();
+    return messageDoc.data().contentRemoved === true;
+  }
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await db.collection('users').doc('admin').set({ isAdmin: true });
+    await chatRef.set({ id: 'alice_bob', participants: ['alice', 'bob'] });
+
+    await writeMessage('savedByParticipant', { savedBy: ['bob'] });
+    await writeMessage('savedByFormerMember', { savedBy: ['carol'] });
+    await writeMessage('unsaved');
+    await writeMessage('notExpired', { expiresInDays: 1 });
+  });
+
+  afterAll(() => {
+    ffTest.cleanup();
+  });
+
+  test('keeps expired messages saved by a current participant', async () => {
+    const results = await manualVideoCleanup(callableRequest('admin', { batchSize: 100 }));
+
+    expect(results.retainedBySaves).toBe(1);
+    expect(await isRemoved('savedByParticipant')).toBe(false);
+    expect(await isRemoved('savedByFormerMember')).toBe(true);
+    expect(await isRemoved('unsaved')).toBe(true);
+    expect(await isRemoved('notExpired')).toBe(false);
+  });
+
+  test('pages past retained messages instead of re-reading them', async () => {
+    const results = await manualVideoCleanup(callableRequest('admin', { batchSize: 1 }));
+
+    expect(results.retainedBySaves).toBe(1);
+    expect(await isRemoved('savedByFormerMember')).toBe(true);
+    expect(await isRemoved('unsaved')).toBe(true);
+  });
+
+  test('stops retaining once the saver leaves the chat', async () => {
+    await chatRef.update({ participants: ['alice'] });
+
+    const results = await manualVideoCleanup(callableRequest('admin', { batchSize: 100 }));
+
+    expect(results.retainedBySaves).toBe(0);
+    expect(await isRemoved('savedByParticipant')).toBe(true);
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const results = await manualVideoCleanup(callableRequest('admin', { dryRun: true }));
+
+    expect(results.retainedBySaves).toBe(1);
+    expect(await isRemoved('savedByFormerMember')).toBe(false);
+    expect(await isRemoved('unsaved')).toBe(false);
+  });
+
+  test('is admin only', async () => {
+    await expect(manualVideoCleanup(callableRequest('alice', {})))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
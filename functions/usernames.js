@@ -0,0 +1,260 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+
+// Constants
+const HANDLE_PATTERN = /^[a-z0-9_]{3,20}$/;
+const HANDLE_CHANGE_COOLDOWN_DAYS = 30;
+
+// Handles nobody can claim - brand names, system roles and impersonation magnets
+const RESERVED_HANDLES = new Set([
+  'admin',
+  'administrator',
+  'api',
+  'help',
+  'me',
+  'moderator',
+  'mod',
+  'null',
+  'official',
+  'root',
+  'security',
+  'staff',
+  'support',
+  'system',
+  'undefined',
+  'vlrb',
+  'vlrbapp',
+  'vlrb_team',
+  'vlrbteam'
+]);
+
+/**
+ * Case-fold a handle for storage and lookup (strips a leading "@")
+ */
+function normalizeHandle(handle) {
+  return handle.trim().replace(/^@/, '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * Validate a normalized handle, throwing an HttpsError if it can't be claimed
+ */
+function validateHandle(normalizedHandle) {
+  if (!HANDLE_PATTERN.test(normalizedHandle)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'Handles must be 3-20 characters and use only letters, numbers and underscores'
+    );
+  }
+
+  if (RESERVED_HANDLES.has(normalizedHandle)) {
+    throw new HttpsError('invalid-argument', 'This handle is not available');
+  }
+}
+
+module.exports = (firebaseHelper, rateLimiter = null) => {
+  const { admin, db } = firebaseHelper;
+
+  /**
+   * Look up the user ID that owns a handle
+   * Returns null if the handle is invalid or unclaimed
+   */
+  async function resolveHandle(handle) {
+    if (!handle || typeof handle !== 'string') return null;
+
+    const normalizedHandle = normalizeHandle(handle);
+    if (!HANDLE_PATTERN.test(normalizedHandle)) return null;
+
+    const reservationDoc = await db.collection('usernames').doc(normalizedHandle).get();
+    return reservationDoc.exists ? reservationDoc.data().uid : null;
+  }
+
+  /**
+   * Release a user's handle reservation (used during account deletion)
+   * Only deletes the reservation if it still belongs to the given user
+   */
+  async function releaseHandle(uid, handle) {
+    if (!handle) return false;
+
+    const reservationRef = db.collection('usernames').doc(normalizeHandle(handle));
+
+    return db.runTransaction(async (transaction) => {
+      const reservationDoc = await transaction.get(reservationRef);
+
+      if (!reservationDoc.exists || reservationDoc.data().uid !== uid) {
+        return false;
+      }
+
+      transaction.delete(reservationRef);
+      return true;
+    });
+  }
+
+  return {
+    // Exported for use by other modules (e.g., friends.js, account.js)
+    normalizeHandle,
+    resolveHandle,
+    releaseHandle,
+
+    /**
+     * claimHandle - Claim a new @handle or change the caller's existing one
+     *
+     * The usernames/{handle} reservation and the user document are written in the
+     * same transaction so two users can never hold the same handle.
+     */
+    claimHandle: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 60
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const uid = request.auth.uid;
+      const { handle } = request.data || {};
+
+      if (!handle || typeof handle !== 'string') {
+        throw new HttpsError('invalid-argument', 'Handle is required');
+      }
+
+      const normalizedHandle = normalizeHandle(handle);
+      validateHandle(normalizedHandle);
+
+      // normalizeHandle only folds case after NFKC, so this differs from the handle in capitalization alone
+      const displayHandle = handle.trim().replace(/^@/, '').normalize('NFKC');
+
+      try {
+        return await db.runTransaction(async (transaction) => {
+          const userRef = db.collection('users').doc(uid);
+          const reservationRef = db.collection('usernames').doc(normalizedHandle);
+
+          // Read all documents before any writes
+          const userDoc = await transaction.get(userRef);
+          const reservationDoc = await transaction.get(reservationRef);
+
+          if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+          }
+
+          const userData = userDoc.data();
+          const currentHandle = userData.handle || null;
+
+          if (reservationDoc.exists && reservationDoc.data().uid !== uid) {
+            throw new HttpsError('already-exists', 'This handle is already taken');
+          }
+
+          // Re-claiming your own handle only updates its capitalization
+          if (currentHandle === normalizedHandle) {
+            // Merge in case the reservation doc went missing - recreate it rather than failing
+            transaction.set(reservationRef, {
+              uid: uid,
+              handle: normalizedHandle,
+              displayHandle: displayHandle
+            }, { merge: true });
+            transaction.update(userRef, { displayHandle: displayHandle });
+            return { success: true, handle: normalizedHandle, displayHandle };
+          }
+
+          // Enforce the change cooldown (first claim is always allowed)
+          if (currentHandle && userData.handleChangedAt) {
+            const cooldownEnds = new Date(
+              userData.handleChangedAt.toDate().getTime() + HANDLE_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+            );
+
+            if (new Date() < cooldownEnds) {
+              throw new HttpsError(
+                'failed-precondition',
+                `You can change your handle again after ${cooldownEnds.toISOString()}`
+              );
+            }
+          }
+
+          // Release the old handle so someone else can claim it
+          if (currentHandle) {
+            transaction.delete(db.collection('usernames').doc(currentHandle));
+          }
+
+          transaction.set(reservationRef, {
+            uid: uid,
+            handle: normalizedHandle,
+            displayHandle: displayHandle,
+            claimedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          transaction.update(userRef, {
+            handle: normalizedHandle,
+            displayHandle: displayHandle,
+            handleChangedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          console.log(`🏷️ User ${uid} claimed handle @${normalizedHandle} (previous: ${currentHandle || 'none'})`);
+          return { success: true, handle: normalizedHandle, displayHandle };
+        });
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error claiming handle:', error);
+        throw new HttpsError('internal', 'Failed to claim handle');
+      }
+    }),
+
+    /**
+     * lookupHandle - Resolve a handle to a public profile before sending a friend request
+     *
+     * Users on either side of a block get not-found, exactly like an unclaimed handle.
+     */
+    lookupHandle: onCall({
+      region: 'us-central1',
+      maxInstances: 10,
+      timeoutSeconds: 30
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const callerId = request.auth.uid;
+      const { handle } = request.data || {};
+
+      if (!handle || typeof handle !== 'string') {
+        throw new HttpsError('invalid-argument', 'Handle is required');
+      }
+
+      try {
+        // Stops handles being enumerated one lookup at a time
+        if (rateLimiter) {
+          await rateLimiter.enforceRateLimit(callerId, 'handleLookup');
+        }
+
+        const uid = await resolveHandle(handle);
+        if (!uid) {
+          throw new HttpsError('not-found', 'User not found');
+        }
+
+        // A block in either direction hides the user, same as if the handle were unclaimed
+        const [userDoc, friendshipDoc] = await Promise.all([
+          db.collection('users').doc(uid).get(),
+          db.collection('friendships').doc([callerId, uid].sort().join('_')).get()
+        ]);
+
+        if (!userDoc.exists || (friendshipDoc.exists && friendshipDoc.data().status === 'blocked')) {
+          throw new HttpsError('not-found', 'User not found');
+        }
+
+        const userData = userDoc.data();
+        return {
+          userId: uid,
+          handle: userData.handle,
+          displayHandle: userData.displayHandle || userData.handle,
+          displayName: userData.displayName || 'Unknown',
+          avatarUrl: userData.avatarUrl || null
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error looking up handle:', error);
+        throw new HttpsError('internal', 'Failed to look up handle');
+      }
+    })
+  };
+};
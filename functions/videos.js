@@ -1,10 +1,33 @@
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 
+// Constants
+const VIEW_ONCE_MAX_AGE_DAYS = 7; // Unviewed view-once videos are purged after this long
+// Purged view-once messages drop out of the viewOnce == true query but keep a record of what they were
+const VIEW_ONCE_PURGED_UPDATES = { viewOnce: false, viewOncePurged: true };
+
 module.exports = (firebaseHelper) => {
   const { admin, db } = firebaseHelper;
   const storage = admin.storage();
   
+  // Helper to check whether a saved message should survive expiry
+  // Saves only count while the saver is still a participant in the chat (saves are also
+  // released when members leave, so this matches the isSaved count in getCleanupStats)
+  // participantsByChat caches each chat's participants for the length of a cleanup run
+  async function isRetainedBySave(messageRef, messageData, participantsByChat) {
+    const savedBy = messageData.savedBy || [];
+    if (savedBy.length === 0) return false;
+
+    const chatRef = messageRef.parent.parent;
+    if (!participantsByChat.has(chatRef.id)) {
+      const chatDoc = await chatRef.get();
+      participantsByChat.set(chatRef.id, chatDoc.exists ? chatDoc.data().participants || [] : []);
+    }
+
+    const participants = participantsByChat.get(chatRef.id);
+    return savedBy.some(userId => participants.includes(userId));
+  }
+
   // Shared cleanup logic extracted into its own function
   async function performVideoCleanup(options = {}) {
     // Default options
@@ -20,6 +43,8 @@ module.exports = (firebaseHelper) => {
     let totalDeleted = 0;
     let totalErrors = 0;
     let totalSize = 0;
+    let totalRetained = 0;
+    const participantsByChat = new Map();
     const startTime = Date.now();
     
     try {
@@ -31,9 +56,13 @@ module.exports = (firebaseHelper) => {
       
       let hasMore = true;
       let batchCount = 0;
+      let lastDoc = null;
       
       while (hasMore) {
-        const snapshot = await expiredMessagesQuery.get();
+        // Page with a cursor - saved messages are left in place, so re-querying would loop on them
+        const snapshot = lastDoc
+          ? await expiredMessagesQuery.startAfter(lastDoc).get()
+          : await expiredMessagesQuery.get();
         
         if (snapshot.empty) {
           hasMore = false;
@@ -51,6 +80,12 @@ module.exports = (firebaseHelper) => {
           const messageData = doc.data();
           const messageRef = doc.ref;
           
+          // Kept while anyone still in the chat has it saved
+          if (await isRetainedBySave(messageRef, messageData, participantsByChat)) {
+            totalRetained++;
+            continue;
+          }
+          
           // If dry run, just count without actually deleting
           if (dryRun) {
             totalDeleted++;
@@ -107,6 +142,7 @@ module.exports = (firebaseHelper) => {
         if (snapshot.size < batchSize) {
           hasMore = false;
         }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
       }
       
       const duration = Date.now() - startTime;
@@ -115,6 +151,7 @@ module.exports = (firebaseHelper) => {
       const results = {
         success: true,
         videosDeleted: totalDeleted,
+        retainedBySaves: totalRetained,
         errors: totalErrors,
         totalSizeFreed: totalSize,
         totalSizeFreedMB: Math.round(totalSize / 1024 / 1024),
@@ -134,6 +171,7 @@ module.exports = (firebaseHelper) => {
       
       console.log(`🎉 Video cleanup complete!`);
       console.log(`📊 Results: ${totalDeleted} videos ${dryRun ? 'would be' : ''} deleted, ${totalErrors} errors`);
+      console.log(`📌 ${totalRetained} expired videos kept because they are saved`);
       console.log(`💾 ${dryRun ? 'Would free' : 'Freed'} up ${Math.round(totalSize / 1024 / 1024)} MB`);
       console.log(`⏱️ Duration: ${duration}ms`);
       
@@ -197,6 +235,85 @@ module.exports = (firebaseHelper) => {
     return null;
   }
   
+  // Helper to delete a message's video files from Storage and soft delete it
+  // Shared by deleteVideo, view-once purges and moderation content removal; returns the number of files deleted
+  // extraUpdates are written alongside the soft delete
+  async function removeMessageContent(messageRef, messageData, deletedBy, extraUpdates = {}) {
+    const urlsToDelete = [
+      messageData.videoUrl,
+      messageData.thumbnailUrl,
+      messageData.encryptedVideoUrl,
+      messageData.encryptedThumbnailUrl,
+    ].filter(Boolean);
+
+    const bucket = storage.bucket();
+    let filesDeleted = 0;
+
+    for (const url of urlsToDelete) {
+      try {
+        const path = extractStoragePath(url);
+        if (path) {
+          await bucket.file(path).delete();
+          filesDeleted++;
+          console.log(`Deleted: ${path}`);
+        }
+      } catch (err) {
+        // Log but don't fail - file may already be deleted
+        if (err.code === 404) {
+          console.log(`File already deleted: ${url}`);
+        } else {
+          console.warn(`Could not delete file: ${url}`, err);
+        }
+      }
+    }
+
+    await messageRef.update({
+      isDeleted: true,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deletedBy: deletedBy,
+      videoUrl: null,
+      thumbnailUrl: null,
+      encryptedVideoUrl: null,
+      encryptedThumbnailUrl: null,
+      ...extraUpdates
+    });
+
+    return filesDeleted;
+  }
+
+  // Helper to send the sender a silent "viewed" event (best effort - never fails the caller)
+  async function notifyVideoViewed(senderId, chatId, messageId, viewerId) {
+    try {
+      const senderDoc = await db.collection('users').doc(senderId).get();
+      const fcmToken = senderDoc.exists ? senderDoc.data().fcmToken : null;
+      if (!fcmToken) return;
+
+      await admin.messaging().send({
+        token: fcmToken,
+        data: {
+          chatId: chatId,
+          messageId: messageId,
+          viewerId: viewerId,
+          type: 'videoViewed'
+        },
+        apns: {
+          headers: {
+            'apns-push-type': 'background',
+            'apns-priority': '5'
+          },
+          payload: {
+            aps: {
+              contentAvailable: true
+            }
+          }
+        }
+      });
+      console.log(`👁️ Viewed event sent to ${senderId} for message ${messageId}`);
+    } catch (error) {
+      console.error(`⚠️ Failed to send viewed event to ${senderId}:`, error);
+    }
+  }
+
   // Cleanup expired archived videos (from unfriend flow)
   // Archives videos are kept until their expiresAt date, then fully deleted
   async function performArchivedVideoCleanup(options = {}) {
@@ -334,8 +451,118 @@ module.exports = (firebaseHelper) => {
     }
   }
 
+  // Purge view-once videos that not every recipient has watched within VIEW_ONCE_MAX_AGE_DAYS
+  async function performViewOncePurge(options = {}) {
+    const {
+      batchSize = 200,
+      dryRun = false,
+      triggeredBy = 'system'
+    } = options;
+
+    console.log(`🧹 Starting view-once purge (triggered by: ${triggeredBy}, dryRun: ${dryRun})...`);
+
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - VIEW_ONCE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    let totalPurged = 0;
+    let totalFilesDeleted = 0;
+    let totalErrors = 0;
+    const startTime = Date.now();
+
+    try {
+      let lastDoc = null;
+      let batchCount = 0;
+
+      while (true) {
+        let query = db.collectionGroup('messages')
+          .where('viewOnce', '==', true)
+          .where('createdAt', '<=', cutoff)
+          .orderBy('createdAt')
+          .limit(batchSize);
+
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        batchCount++;
+        console.log(`📦 Processing batch ${batchCount} of ${snapshot.size} old view-once videos...`);
+
+        for (const doc of snapshot.docs) {
+          const messageData = doc.data();
+
+          // Removed some other way (e.g. deleted by the sender) - just mark it so it leaves the query
+          if (messageData.isDeleted) {
+            if (!dryRun) {
+              await doc.ref.update(VIEW_ONCE_PURGED_UPDATES);
+            }
+            continue;
+          }
+
+          if (dryRun) {
+            totalPurged++;
+            continue;
+          }
+
+          try {
+            totalFilesDeleted += await removeMessageContent(doc.ref, messageData, 'viewOnce:expired', VIEW_ONCE_PURGED_UPDATES);
+            totalPurged++;
+          } catch (error) {
+            console.error(`❌ Failed to purge view-once message ${doc.ref.path}:`, error);
+            totalErrors++;
+          }
+        }
+
+        if (snapshot.size < batchSize) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      const results = {
+        success: true,
+        viewOncePurged: totalPurged,
+        filesDeleted: totalFilesDeleted,
+        errors: totalErrors,
+        maxAgeDays: VIEW_ONCE_MAX_AGE_DAYS,
+        duration: Date.now() - startTime,
+        dryRun: dryRun,
+        triggeredBy: triggeredBy,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (!dryRun) {
+        await db.collection('systemLogs')
+          .doc('viewOncePurge')
+          .collection('runs')
+          .add(results);
+      }
+
+      console.log(`🎉 View-once purge complete! ${totalPurged} videos ${dryRun ? 'would be' : ''} purged, ${totalErrors} errors`);
+
+      return results;
+
+    } catch (error) {
+      console.error('❌ View-once purge failed:', error);
+
+      await db.collection('systemLogs')
+        .doc('viewOncePurge')
+        .collection('errors')
+        .add({
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          error: error.message,
+          stack: error.stack,
+          triggeredBy: triggeredBy
+        });
+
+      throw error;
+    }
+  }
+
   // Return the public functions
   return {
+    // Exported for use by other modules (e.g., moderation.js)
+    extractStoragePath,
+    removeMessageContent,
+
     // Scheduled function for regular expired videos
     cleanupExpiredVideos: onSchedule({
       schedule: '0 2 * * *',
@@ -366,6 +593,21 @@ module.exports = (firebaseHelper) => {
       });
     }),
     
+    // Scheduled fallback for view-once videos that were never watched by everyone
+    purgeUnviewedViewOnceVideos: onSchedule({
+      schedule: '45 * * * *',  // Hourly - these are meant to be short-lived
+      timeZone: 'America/Los_Angeles',
+      region: 'us-central1',
+      maxInstances: 1,
+      memory: '512MB',
+      timeoutSeconds: 540
+    }, async (event) => {
+      return performViewOncePurge({
+        triggeredBy: 'scheduled',
+        batchSize: 200
+      });
+    }),
+    
     // Manual trigger function for regular video cleanup
     manualVideoCleanup: onCall({
       region: 'us-central1',
@@ -434,6 +676,40 @@ module.exports = (firebaseHelper) => {
       }
     }),
     
+    // Manual trigger function for the view-once purge
+    manualViewOncePurge: onCall({
+      region: 'us-central1',
+      maxInstances: 1,
+      timeoutSeconds: 540
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be logged in');
+      }
+
+      const { dryRun = true, batchSize = 100 } = request.data || {};
+
+      console.log(`🔧 Manual view-once purge triggered by ${request.auth.uid}`);
+
+      // Add admin check
+      const userDoc = await db.collection('users').doc(request.auth.uid).get();
+      if (!userDoc.exists || !userDoc.data().isAdmin) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+      }
+
+      try {
+        const results = await performViewOncePurge({
+          triggeredBy: `user:${request.auth.uid}`,
+          dryRun: dryRun,
+          batchSize: batchSize
+        });
+
+        return results;
+      } catch (error) {
+        console.error('Manual view-once purge error:', error);
+        throw new HttpsError('internal', error.message);
+      }
+    }),
+
     // Optional: Get cleanup stats
     getCleanupStats: onCall({
       region: 'us-central1',
@@ -466,6 +742,14 @@ module.exports = (firebaseHelper) => {
           .count()
           .get();
 
+        // Get count of expired videos being kept because someone saved them
+        const retainedBySavesQuery = await db.collectionGroup('messages')
+          .where('expiresAt', '<=', now)
+          .where('contentRemoved', '!=', true)
+          .where('isSaved', '==', true)
+          .count()
+          .get();
+
         // Get last regular cleanup run info
         const lastRunQuery = await db.collection('systemLogs')
           .doc('videoCleanup')
@@ -486,7 +770,8 @@ module.exports = (firebaseHelper) => {
         const lastArchivedRun = lastArchivedRunQuery.empty ? null : lastArchivedRunQuery.docs[0].data();
 
         return {
-          pendingCleanup: expiredQuery.data().count,
+          pendingCleanup: Math.max(expiredQuery.data().count - retainedBySavesQuery.data().count, 0),
+          retainedBySaves: retainedBySavesQuery.data().count,
           pendingArchivedCleanup: expiredArchivedQuery.data().count,
           totalArchivedVideos: totalArchivedQuery.data().count,
           lastRun: lastRun,
@@ -533,53 +818,182 @@ module.exports = (firebaseHelper) => {
           throw new HttpsError('permission-denied', 'You can only delete your own videos');
         }
 
-        // 4-6. Delete from Firebase Storage
-        const urlsToDelete = [
-          messageData.videoUrl,
-          messageData.thumbnailUrl,
-          messageData.encryptedVideoUrl,
-          messageData.encryptedThumbnailUrl,
-        ].filter(Boolean);
+        // 4-7. Delete from Firebase Storage and soft delete in Firestore
+        await removeMessageContent(messageRef, messageData, userId);
 
-        const bucket = storage.bucket();
+        // 8. Return success
+        return { success: true };
 
-        for (const url of urlsToDelete) {
-          try {
-            const path = extractStoragePath(url);
-            if (path) {
-              await bucket.file(path).delete();
-              console.log(`Deleted: ${path}`);
-            }
-          } catch (err) {
-            // Log but don't fail - file may already be deleted
-            if (err.code === 404) {
-              console.log(`File already deleted: ${url}`);
-            } else {
-              console.warn(`Could not delete file: ${url}`, err);
-            }
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error deleting video:', error);
+        throw new HttpsError('internal', 'Failed to delete video');
+      }
+    }),
+
+    // Record that a recipient watched a video message
+    // The first view is kept; the sender gets a "viewed" event unless the viewer
+    // has turned off sendReadReceipts. View-once videos are purged as soon as
+    // every recipient has watched them.
+    markVideoViewed: onCall({
+      region: 'us-central1',
+      maxInstances: 10
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated');
+      }
+
+      const userId = request.auth.uid;
+      const { messageId, chatId } = request.data || {};
+
+      if (!messageId || !chatId) {
+        throw new HttpsError('invalid-argument', 'messageId and chatId are required');
+      }
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const messageRef = chatRef.collection('messages').doc(messageId);
+
+        const result = await db.runTransaction(async (transaction) => {
+          const chatDoc = await transaction.get(chatRef);
+          const messageDoc = await transaction.get(messageRef);
+
+          if (!chatDoc.exists || !(chatDoc.data().participants || []).includes(userId)) {
+            throw new HttpsError('not-found', 'Chat not found');
+          }
+
+          if (!messageDoc.exists || messageDoc.data().isDeleted || messageDoc.data().contentRemoved) {
+            throw new HttpsError('not-found', 'Message not found');
+          }
+
+          const messageData = messageDoc.data();
+
+          if (messageData.senderId === userId) {
+            throw new HttpsError('permission-denied', 'You cannot mark your own video as viewed');
           }
+
+          const viewedBy = messageData.viewedBy || {};
+          const recipients = chatDoc.data().participants.filter(id => id !== messageData.senderId);
+          const viewedByAll = recipients.every(id => id === userId || viewedBy[id]);
+          const shouldPurge = messageData.viewOnce === true && viewedByAll;
+
+          if (viewedBy[userId]) {
+            return { alreadyViewed: true, viewedAt: viewedBy[userId], messageData, shouldPurge };
+          }
+
+          const viewedAt = admin.firestore.Timestamp.now();
+          transaction.update(messageRef, {
+            [`viewedBy.${userId}`]: viewedAt
+          });
+
+          return { alreadyViewed: false, viewedAt: viewedAt, messageData, shouldPurge };
+        });
+
+        if (result.shouldPurge) {
+          await removeMessageContent(messageRef, result.messageData, 'viewOnce', VIEW_ONCE_PURGED_UPDATES);
+          console.log(`💨 View-once message ${messageId} in chat ${chatId} purged after all recipients viewed it`);
         }
 
-        // 7. Soft delete in Firestore
-        await messageRef.update({
-          isDeleted: true,
-          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
-          deletedBy: userId,
-          videoUrl: null,
-          thumbnailUrl: null,
-          encryptedVideoUrl: null,
-          encryptedThumbnailUrl: null,
+        if (!result.alreadyViewed) {
+          const viewerDoc = await db.collection('users').doc(userId).get();
+          const sendReadReceipts = !viewerDoc.exists || viewerDoc.data().sendReadReceipts !== false;
+
+          if (sendReadReceipts) {
+            await notifyVideoViewed(result.messageData.senderId, chatId, messageId, userId);
+          }
+        }
+
+        return {
+          success: true,
+          alreadyViewed: result.alreadyViewed,
+          viewedAt: result.viewedAt.toDate().toISOString(),
+          purged: result.shouldPurge
+        };
+
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error('Error marking video viewed:', error);
+        throw new HttpsError('internal', 'Failed to mark video as viewed');
+      }
+    }),
+
+    // Keep (or stop keeping) a video message so expiry cleanup leaves it alone
+    // Pass saved: false to unsave; the message then expires normally
+    saveMessage: onCall({
+      region: 'us-central1',
+      maxInstances: 10
+    }, async (request) => {
+      if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated');
+      }
+
+      const userId = request.auth.uid;
+      const { messageId, chatId, saved = true } = request.data || {};
+
+      if (!messageId || !chatId) {
+        throw new HttpsError('invalid-argument', 'messageId and chatId are required');
+      }
+
+      if (typeof saved !== 'boolean') {
+        throw new HttpsError('invalid-argument', 'saved must be true or false');
+      }
+
+      try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const messageRef = chatRef.collection('messages').doc(messageId);
+
+        const savedBy = await db.runTransaction(async (transaction) => {
+          const chatDoc = await transaction.get(chatRef);
+          const messageDoc = await transaction.get(messageRef);
+
+          if (!chatDoc.exists || !(chatDoc.data().participants || []).includes(userId)) {
+            throw new HttpsError('not-found', 'Chat not found');
+          }
+
+          if (!messageDoc.exists || messageDoc.data().isDeleted || messageDoc.data().contentRemoved) {
+            throw new HttpsError('not-found', 'Message not found');
+          }
+
+          const messageData = messageDoc.data();
+
+          if (saved && messageData.viewOnce === true) {
+            throw new HttpsError('failed-precondition', 'View-once videos cannot be saved');
+          }
+
+          const currentSavedBy = messageData.savedBy || [];
+          const nextSavedBy = saved
+            ? [...new Set([...currentSavedBy, userId])]
+            : currentSavedBy.filter(id => id !== userId);
+
+          if (nextSavedBy.length !== currentSavedBy.length) {
+            transaction.update(messageRef, {
+              savedBy: nextSavedBy,
+              isSaved: nextSavedBy.length > 0
+            });
+          }
+
+          return nextSavedBy;
         });
 
-        // 8. Return success
-        return { success: true };
+        console.log(`📌 User ${userId} ${saved ? 'saved' : 'unsaved'} message ${messageId} in chat ${chatId}`);
+
+        return {
+          success: true,
+          saved: saved,
+          isSaved: savedBy.length > 0,
+          savedBy: savedBy
+        };
 
       } catch (error) {
         if (error instanceof HttpsError) {
           throw error;
         }
-        console.error('Error deleting video:', error);
-        throw new HttpsError('internal', 'Failed to delete video');
+        console.error('Error saving message:', error);
+        throw new HttpsError('internal', 'Failed to save message');
       }
     })
   };